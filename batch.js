@@ -0,0 +1,158 @@
+// batch generation, for comparing option sets by the numbers rather than by eye
+// generates many dungeons from one set of options and summarises what came out
+
+import Dungeon from './dungeonGen.js';
+import SeededRandom from './random.js';
+
+/**
+ * @typedef {Object} DungeonMetrics
+ * @property {number} roomCount - the number of rooms
+ * @property {number} floorCoverage - the percentage of the board walkers can stand on
+ * @property {number} corridorLength - the number of corridor tiles
+ * @property {number} deadEnds - the number of dead end corridors
+ * @property {number} loops - the number of loops in the room graph
+ * @property {number} entryExitDistance - the walking distance from the entry to the exit
+ * @property {number} attempts - the number of generation attempts, 1 when the first attempt was valid
+ * @property {boolean} emergencyMode - whether point and room loss had to be turned off
+ */
+
+/**
+ * @typedef {Object} Distribution
+ * @property {number} mean - the average value
+ * @property {number} stdDev - the standard deviation
+ * @property {number} min - the smallest value
+ * @property {number} p10 - the 10th percentile
+ * @property {number} median - the 50th percentile
+ * @property {number} p90 - the 90th percentile
+ * @property {number} max - the largest value
+ * @property {Array<{from: number, to: number, count: number}>} histogram - counts of values in equal width bins
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} count - the number of dungeons requested
+ * @property {number} generated - the number of dungeons generated
+ * @property {number} failed - the number of dungeons that threw a GenerationError
+ * @property {number} emergencyModeRate - the percentage of generated dungeons that needed emergency mode
+ * @property {Object<string, Distribution>} metrics - a distribution for every numeric DungeonMetrics field
+ * @property {DungeonMetrics[]} samples - the metrics of each generated dungeon
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [count=100] - The number of dungeons to generate
+ * @property {number|string} [seed='batch'] - Seed for the batch, each dungeon's seed is derived from it
+ * @property {number} [bins=10] - The number of histogram bins
+ */
+
+export const METRICS = ['roomCount', 'floorCoverage', 'corridorLength', 'deadEnds', 'loops', 'entryExitDistance', 'attempts'];
+
+/**
+ * Measures a generated dungeon
+ * @param {Dungeon} dungeon - The dungeon to measure
+ * @returns {DungeonMetrics} The dungeon's metrics
+ */
+export function measureDungeon(dungeon) {
+  let walkable = 0;
+  let corridors = 0;
+  for (let x = 0; x < dungeon.colCount; x++) {
+    for (let y = 0; y < dungeon.rowCount; y++) {
+      if (dungeon.isWalkable(x, y)) {
+        walkable++;
+      }
+      if (dungeon.getTileAt(x, y).type === Dungeon.TileTypes.CORRIDOR) {
+        corridors++;
+      }
+    }
+  }
+  const { entry, exit } = dungeon.specialPoints;
+  return {
+    roomCount: dungeon.roomList.length,
+    floorCoverage: (walkable * 100) / (dungeon.colCount * dungeon.rowCount),
+    corridorLength: corridors,
+    deadEnds: dungeon.getDeadEnds().length,
+    loops: dungeon.getLoopCount(),
+    entryExitDistance: entry && exit ? dungeon.distanceMap(entry)[exit.x][exit.y] : NaN,
+    attempts: dungeon.attempts,
+    emergencyMode: dungeon.emergencyMode,
+  };
+}
+
+/**
+ * Summarises a list of numbers
+ * @param {number[]} values - The values, NaN values are left out
+ * @param {number} [bins=10] - The number of histogram bins
+ * @returns {?Distribution} The distribution, or null if there are no values
+ */
+export function summarize(values, bins = 10) {
+  const sorted = values.filter((value) => !Number.isNaN(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const mean = sorted.reduce((total, value) => total + value, 0) / sorted.length;
+  const variance = sorted.reduce((total, value) => total + (value - mean) ** 2, 0) / sorted.length;
+  const percentile = (p) => sorted[Math.round((p / 100) * (sorted.length - 1))];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const binWidth = (max - min) / bins || 1;
+  const histogram = [...Array(bins)].map((bin, index) => ({
+    from: min + index * binWidth,
+    to: min + (index + 1) * binWidth,
+    count: 0,
+  }));
+  for (const value of sorted) {
+    histogram[Math.min(Math.floor((value - min) / binWidth), bins - 1)].count++;
+  }
+  return {
+    mean,
+    stdDev: Math.sqrt(variance),
+    min,
+    p10: percentile(10),
+    median: percentile(50),
+    p90: percentile(90),
+    max,
+    histogram,
+  };
+}
+
+/**
+ * Generates a batch of dungeons from one set of options and summarises them
+ * @param {DungeonOptions} [options={}] - The options for every dungeon, the seed option is replaced per dungeon
+ * @param {BatchOptions} [batchOptions={}] - How many dungeons to generate, and from which seed
+ * @returns {BatchResult} The summary of the batch
+ */
+export function generateBatch(options = {}, { count = 100, seed = 'batch', bins = 10 } = {}) {
+  // bad options would fail the same way every time, so let them throw straight away
+  const problems = Dungeon.validateOptions(options);
+  if (problems.length > 0) {
+    throw new Dungeon.OptionsError(problems);
+  }
+  const samples = [];
+  let failed = 0;
+  for (let i = 0; i < count; i++) {
+    try {
+      const dungeon = new Dungeon({ ...options, seed: SeededRandom.hashString(`${seed}:${i}`) });
+      samples.push(measureDungeon(dungeon));
+    }
+    catch (error) {
+      if (!(error instanceof Dungeon.GenerationError)) {
+        throw error;
+      }
+      failed++;
+    }
+  }
+  const metrics = {};
+  for (const metric of METRICS) {
+    metrics[metric] = summarize(samples.map((sample) => sample[metric]), bins);
+  }
+  return {
+    count,
+    generated: samples.length,
+    failed,
+    emergencyModeRate: samples.length > 0
+      ? (samples.filter((sample) => sample.emergencyMode).length * 100) / samples.length
+      : 0,
+    metrics,
+    samples,
+  };
+}
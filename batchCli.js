@@ -0,0 +1,180 @@
+// command line front end for batch.js
+// usage: node batchCli.js [options.json ...] [--count 100] [--seed batch] [--set key=value ...] [--histogram] [--json]
+// every options file is one option set, with several files their averages are compared side by side
+
+import process from 'node:process';
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { generateBatch, METRICS } from './batch.js';
+
+const USAGE = `Usage: node batchCli.js [options.json ...] [flags]
+
+Generates dungeons for each option set (a JSON file of Dungeon options, the defaults when no file is given)
+and reports the distribution of room count, floor coverage, corridor length, dead ends, loops, entry to
+exit distance and generation attempts, plus how often emergency mode was needed.
+
+Flags:
+  -n, --count <number>   dungeons per option set (default 100)
+  -s, --seed <seed>      batch seed, the same seed gives the same dungeons (default "batch")
+  --set <key=value>      override an option in every set, can be repeated (values are parsed as JSON if possible)
+  --histogram            print a histogram for every metric
+  --json                 print the full results as JSON
+  -h, --help             show this message`;
+
+/**
+ * Parses a --set value into an option name and value
+ * @param {string} assignment - The `key=value` text
+ * @returns {[string, *]} The option name and its value
+ */
+function parseAssignment(assignment) {
+  const separator = assignment.indexOf('=');
+  if (separator < 1) {
+    throw new Error(`--set needs key=value, got "${assignment}"`);
+  }
+  const key = assignment.slice(0, separator);
+  const text = assignment.slice(separator + 1);
+  try {
+    return [key, JSON.parse(text)];
+  }
+  catch {
+    return [key, text];
+  }
+}
+
+/**
+ * Formats a number for the tables
+ * @param {number} value - The value
+ * @returns {string} The value with at most one decimal
+ */
+function format(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Lays out rows as a plain text table
+ * @param {string[][]} rows - The rows, the first one is the header
+ * @returns {string} The table
+ */
+function table(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows
+    .map((row) => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '))
+    .join('\n');
+}
+
+/**
+ * Prints the report of one option set
+ * @param {string} name - The name of the option set
+ * @param {BatchResult} result - The batch result
+ * @param {boolean} histogram - Whether to print histograms
+ * @returns {void}
+ */
+function printReport(name, result, histogram) {
+  console.log(`\n${name}: ${result.generated}/${result.count} generated, ${result.failed} failed, ` +
+    `emergency mode ${format(result.emergencyModeRate)}%`);
+  const rows = [['metric', 'mean', 'sd', 'min', 'p10', 'median', 'p90', 'max']];
+  for (const metric of METRICS) {
+    const summary = result.metrics[metric];
+    if (summary) {
+      rows.push([metric, ...['mean', 'stdDev', 'min', 'p10', 'median', 'p90', 'max'].map((key) => format(summary[key]))]);
+    }
+  }
+  console.log(table(rows));
+  if (!histogram) {
+    return;
+  }
+  for (const metric of METRICS) {
+    const summary = result.metrics[metric];
+    if (!summary) {
+      continue;
+    }
+    console.log(`\n${metric}`);
+    const largest = Math.max(...summary.histogram.map((bin) => bin.count));
+    const lines = table(summary.histogram.map((bin) => [`${format(bin.from)}-${format(bin.to)}`, String(bin.count)])).split('\n');
+    summary.histogram.forEach((bin, index) => {
+      console.log(`${lines[index]}  ${'#'.repeat(Math.round((bin.count / largest) * 40))}`);
+    });
+  }
+}
+
+/**
+ * Runs the command line tool
+ * @returns {number} The exit code
+ */
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        count: { type: 'string', short: 'n', default: '100' },
+        seed: { type: 'string', short: 's', default: 'batch' },
+        set: { type: 'string', multiple: true, default: [] },
+        histogram: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  }
+  catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const count = Number(values.count);
+  if (!Number.isInteger(count) || count < 1) {
+    console.error(`--count must be a whole number of 1 or more, got "${values.count}"`);
+    return 1;
+  }
+
+  let overrides;
+  try {
+    overrides = Object.fromEntries(values.set.map(parseAssignment));
+  }
+  catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const optionSets = positionals.length > 0
+    ? positionals.map((file) => ({ name: basename(file), file }))
+    : [{ name: 'defaults', file: null }];
+
+  const results = [];
+  for (const { name, file } of optionSets) {
+    try {
+      // a missing or malformed options file is reported like any other problem with the set
+      const options = file === null ? {} : JSON.parse(readFileSync(file, 'utf8'));
+      results.push({ name, result: generateBatch({ ...options, ...overrides }, { count, seed: values.seed }) });
+    }
+    catch (error) {
+      console.error(`${name}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return 0;
+  }
+  for (const { name, result } of results) {
+    printReport(name, result, values.histogram);
+  }
+  if (results.length > 1) {
+    console.log('\nmeans');
+    const rows = [['metric', ...results.map(({ name }) => name)]];
+    for (const metric of METRICS) {
+      rows.push([metric, ...results.map(({ result }) => (result.metrics[metric] ? format(result.metrics[metric].mean) : '-'))]);
+    }
+    rows.push(['emergencyMode %', ...results.map(({ result }) => format(result.emergencyModeRate))]);
+    rows.push(['failed', ...results.map(({ result }) => String(result.failed))]);
+    console.log(table(rows));
+  }
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,91 @@
+// times dungeon generation and the validate stage on a few board sizes
+// usage: node benchmark.js [dungeons per size] [--baseline <checkout>] [--target <checkout>]
+// with --baseline, the same sizes and seeds are timed with the dungeonGen.js of another checkout too, side by side
+// against this one, or against the checkout given with --target
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import Dungeon from './dungeonGen.js';
+
+const SIZES = [
+  { colCount: 40, rowCount: 32 },
+  { colCount: 100, rowCount: 100, roomCountMin: 30, roomCountMax: 40 },
+  { colCount: 200, rowCount: 200, roomCountMin: 100, roomCountMax: 120 },
+];
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: { baseline: { type: 'string' }, target: { type: 'string' } },
+});
+const count = Number(positionals[0] ?? 20);
+
+/**
+ * Generates dungeons of one size, timing the whole generation and the validate stage
+ * @param {typeof Dungeon} DungeonClass - The Dungeon class to time
+ * @param {DungeonOptions} options - The options for every dungeon
+ * @returns {{total: number, validate: number}} Average milliseconds per dungeon
+ */
+function benchmark(DungeonClass, options) {
+  let validateTime = 0;
+  const configurePipeline = (pipeline) => {
+    let started = 0;
+    pipeline.before(DungeonClass.Stages.VALIDATE, () => {
+      started = performance.now();
+    });
+    // the stage after validate only starts when validation passes, so failed validations aren't timed
+    const stages = pipeline.getStageNames();
+    const next = stages[stages.indexOf(DungeonClass.Stages.VALIDATE) + 1];
+    pipeline.before(next, () => {
+      validateTime += performance.now() - started;
+    });
+  };
+  const start = performance.now();
+  for (let seed = 0; seed < count; seed++) {
+    new DungeonClass({ ...options, seed, configurePipeline });
+  }
+  const total = performance.now() - start;
+  return {
+    total: total / count,
+    validate: validateTime / count,
+  };
+}
+
+/**
+ * Loads the Dungeon class of another checkout
+ * @param {string} checkout - The directory of the checkout
+ * @returns {Promise<typeof Dungeon>} Its Dungeon class
+ */
+async function loadDungeon(checkout) {
+  const module = await import(pathToFileURL(resolve(checkout, 'dungeonGen.js')).href);
+  return module.default;
+}
+
+if (values.baseline) {
+  const Baseline = await loadDungeon(values.baseline);
+  const Target = values.target ? await loadDungeon(values.target) : Dungeon;
+  console.log(`${count} dungeons per size, ${values.baseline} before, ${values.target ?? 'this checkout'} after\n`);
+  // a first untimed round, so neither side pays for warming up the JIT in the first row
+  benchmark(Baseline, SIZES[0]);
+  benchmark(Target, SIZES[0]);
+  console.log('| Board | Generation before | Generation after | Validate before | Validate after |');
+  console.log('| --- | --- | --- | --- | --- |');
+  for (const size of SIZES) {
+    const before = benchmark(Baseline, size);
+    const after = benchmark(Target, size);
+    console.log(
+      `| ${size.colCount}x${size.rowCount} | ${before.total.toFixed(2)} ms | ${after.total.toFixed(2)} ms | ` +
+      `${before.validate.toFixed(2)} ms | ${after.validate.toFixed(2)} ms |`,
+    );
+  }
+}
+else {
+  benchmark(Dungeon, SIZES[0]);
+  for (const size of SIZES) {
+    const result = benchmark(Dungeon, size);
+    console.log(
+      `${size.colCount}x${size.rowCount}: ${result.total.toFixed(2)} ms per dungeon, ` +
+      `validate ${result.validate.toFixed(2)} ms`,
+    );
+  }
+}
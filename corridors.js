@@ -0,0 +1,133 @@
+// corridor routes for the Dungeon class
+// a route is a list of waypoints where each pair of neighbours shares a row or a column,
+// so walking it tile by tile always ends on the target
+
+export const CorridorStyles = {
+  STRAIGHT: 'straight',
+  L_BEND: 'lBend',
+  Z_BEND: 'zBend',
+  WINDING: 'winding',
+};
+
+/**
+ * Checks if a style can join two points
+ * A straight corridor needs the points to share a row or a column, and bends need them not to
+ * @param {string} style - The style (see CorridorStyles)
+ * @param {{x: number, y: number}} from - The start point
+ * @param {{x: number, y: number}} to - The end point
+ * @returns {boolean} True if the style fits
+ */
+export function corridorStyleFits(style, from, to) {
+  const aligned = from.x === to.x || from.y === to.y;
+  switch (style) {
+    case CorridorStyles.STRAIGHT:
+      return aligned;
+    case CorridorStyles.L_BEND:
+    case CorridorStyles.Z_BEND:
+      return !aligned;
+    case CorridorStyles.WINDING:
+      return true;
+    default:
+      throw new Error(`Unknown corridor style: ${style}`);
+  }
+}
+
+/**
+ * Gets the tiles along a route
+ * @param {Array<{x: number, y: number}>} waypoints - The route, neighbouring waypoints must share a row or a column
+ * @returns {Array<{x: number, y: number}>} Every tile from the first waypoint to the last, both included
+ */
+export function routeTiles(waypoints) {
+  const tiles = [{ x: waypoints[0].x, y: waypoints[0].y }];
+  for (let i = 1; i < waypoints.length; i++) {
+    const end = waypoints[i];
+    const stepX = Math.sign(end.x - waypoints[i - 1].x);
+    const stepY = Math.sign(end.y - waypoints[i - 1].y);
+    let { x, y } = waypoints[i - 1];
+    while (x !== end.x || y !== end.y) {
+      x += stepX;
+      y += stepY;
+      tiles.push({ x, y });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Gets both L-bend routes between two points
+ * @param {{x: number, y: number}} from - The start point
+ * @param {{x: number, y: number}} to - The end point
+ * @returns {Array<Array<{x: number, y: number}>>} The horizontal first route, then the vertical first route
+ */
+export function lBendRoutes(from, to) {
+  return [
+    [from, { x: to.x, y: from.y }, to],
+    [from, { x: from.x, y: to.y }, to],
+  ];
+}
+
+/**
+ * Gets the Z-bend routes between two points, which run along one axis, cross over, then carry on along it
+ * @param {{x: number, y: number}} from - The start point
+ * @param {{x: number, y: number}} to - The end point
+ * @param {boolean} [horizontal] - Whether the long runs are horizontal, defaults to the axis with the larger distance
+ * @returns {Array<Array<{x: number, y: number}>>} A route for every crossing position, the midpoint first,
+ * then outwards from it, ending with the two L-bends
+ */
+export function zBendRoutes(from, to, horizontal = Math.abs(to.x - from.x) >= Math.abs(to.y - from.y)) {
+  const axis = horizontal ? 'x' : 'y';
+  const start = from[axis];
+  const end = to[axis];
+  const middle = start + Math.trunc((end - start) / 2);
+  const positions = [];
+  for (let position = Math.min(start, end); position <= Math.max(start, end); position++) {
+    positions.push(position);
+  }
+  positions.sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle));
+  return positions.map((position) => (horizontal
+    ? [from, { x: position, y: from.y }, { x: position, y: to.y }, to]
+    : [from, { x: from.x, y: position }, { x: to.x, y: position }, to]));
+}
+
+/**
+ * Gets a winding route between two points, made of L-bends through a few waypoints scattered either side of the line between them
+ * @param {{x: number, y: number}} from - The start point
+ * @param {{x: number, y: number}} to - The end point
+ * @param {function(number, number): number} randomInt - Random integer between min and max (inclusive)
+ * @param {{width: number, height: number}} bounds - The board size, waypoints stay off its edges
+ * @returns {Array<{x: number, y: number}>} The route
+ */
+export function windingRoute(from, to, randomInt, bounds) {
+  const stops = randomInt(1, 3);
+  const spread = 3;
+  // stops only stray sideways from the line, so the corridor keeps heading for its target
+  const horizontal = Math.abs(to.x - from.x) >= Math.abs(to.y - from.y);
+  const along = horizontal ? 'x' : 'y';
+  const route = [from];
+  for (let i = 1; i <= stops; i++) {
+    const fraction = i / (stops + 1);
+    const x = Math.round(from.x + (to.x - from.x) * fraction) + (horizontal ? 0 : randomInt(-spread, spread));
+    const y = Math.round(from.y + (to.y - from.y) * fraction) + (horizontal ? randomInt(-spread, spread) : 0);
+    const stop = {
+      x: Math.min(Math.max(x, 1), bounds.width - 2),
+      y: Math.min(Math.max(y, 1), bounds.height - 2),
+    };
+    // a stop level with its neighbour along the line would have the corridor go sideways and straight back
+    if (stop[along] !== route[route.length - 1][along] && stop[along] !== to[along]) {
+      route.push(stop);
+    }
+  }
+  route.push(to);
+  // join the stops with L-bends, turning either way, except that a leg ending sideways is followed by one
+  // starting along the line, so the corridor never runs back over itself
+  const alongFirst = horizontal ? 0 : 1;
+  const waypoints = [from];
+  let endedSideways = false;
+  for (let i = 1; i < route.length; i++) {
+    const orientation = endedSideways ? alongFirst : randomInt(0, 1);
+    const corner = lBendRoutes(route[i - 1], route[i])[orientation][1];
+    waypoints.push(corner, route[i]);
+    endedSideways = orientation === alongFirst && (corner.x !== route[i].x || corner.y !== route[i].y);
+  }
+  return waypoints;
+}
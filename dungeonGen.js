@@ -1,8 +1,19 @@
+import DungeonLogger from './logger.js';
+import SeededRandom from './random.js';
+import MinHeap from './minHeap.js';
+import GenerationPipeline from './pipeline.js';
+import { bspLayout, caveLayout, mazeLayout } from './layouts.js';
+import { RoomShapes, shapeFits, shapeTiles } from './roomShapes.js';
+import { CorridorStyles, corridorStyleFits, routeTiles, lBendRoutes, zBendRoutes, windingRoute } from './corridors.js';
+import { Terrains, MovementTypes, TerrainModes, TERRAIN_MOVEMENT, addTerrain } from './terrain.js';
+import { DungeonOptionsError, GenerationError } from './errors.js';
+import TileMap from './tileMap.js';
+
 /**
  * @typedef {Object} DungeonObj
  * @property {number} rowCount - the number of rows in the dungeon
  * @property {number} colCount - the number of columns in the dungeon
- * @property {number[][]} board - the dungeon board
+ * @property {TileMap} tileMap - the dungeon board
  * @property {number} roomCount - the number of rooms in the dungeon
  * @property {number} minRoomSizeX - the minimum width of a room
  * @property {number} minRoomSizeY - the minimum height of a room
@@ -25,6 +36,28 @@
  *
  */
 
+/**
+ * @typedef {Object} RoomObj
+ * @property {number} x - the x coordinate of the room's bounding box
+ * @property {number} y - the y coordinate of the room's bounding box
+ * @property {number} width - the width of the room's bounding box
+ * @property {number} height - the height of the room's bounding box
+ * @property {number} grid - the index of the grid the room was placed in
+ * @property {boolean} onPoint - whether the room covers its grid's connection point
+ * @property {string} shape - the shape of the room (see Dungeon.RoomShapes)
+ * @property {Array<{x: number, y: number}>} tiles - every floor tile of the room, use these rather than the bounding box for containment
+ * @property {string} [type] - the room type (NORMAL, ENTRY, EXIT, SPECIAL or a registered type)
+ * @property {Object} [metadata] - additional room metadata
+ * @property {DoorwayObj[]} [doorways] - the corridor tiles leading into the room
+ */
+
+/**
+ * @typedef {Object} CorridorStats
+ * @property {number} loops - the number of loops (independent cycles) in the room graph
+ * @property {number} deadEnds - the number of dead end corridors
+ * @property {number} prunedTiles - the number of corridor tiles removed by pruneDeadEnds
+ */
+
 /**
  * @typedef {Object} PointObj
  * @property {number} x
@@ -35,15 +68,118 @@
 /**
  * @typedef {Object} TileType
  * @property {string} type - The type of tile (WALL, FLOOR, CORRIDOR, etc)
+ * @property {string} [terrain] - The terrain covering the tile (WATER, LAVA, CHASM, SECONDARY_FLOOR)
  * @property {Object} [metadata] - Additional tile metadata
  */
 
+/**
+ * @typedef {Object} SpawnTableEntry
+ * @property {string} id - Identifier of the thing spawned (an item name, trap name, etc)
+ * @property {string} kind - The content type (ITEM, TRAP, WONDER_TILE, MONEY)
+ * @property {number} weight - Relative chance of this entry being picked
+ * @property {number} [maxPerRoom] - Maximum number of this entry in a single room
+ * @property {number} [maxPerFloor] - Maximum number of this entry on the floor
+ */
+
+/**
+ * @typedef {Object} ContentObj
+ * @property {number} x - the x coordinate of the content
+ * @property {number} y - the y coordinate of the content
+ * @property {string} kind - the content type (ITEM, TRAP, WONDER_TILE, MONEY)
+ * @property {string} id - the spawn table id of the content
+ * @property {number} room - the index of the room in roomList holding the content
+ */
+
+/**
+ * @typedef {Object} EnemySpawnObj
+ * @property {number} x - the x coordinate of the spawn
+ * @property {number} y - the y coordinate of the spawn
+ * @property {string} spawnTable - the id of the enemy spawn table to roll on
+ * @property {number} room - the index of the room in roomList holding the spawn
+ * @property {boolean} monsterHouse - whether the spawn belongs to a monster house
+ */
+
 /**
  * @typedef {Object} RoomType
  * @property {string} type - The type of room (NORMAL, ITEM, BOSS, etc)
  * @property {Object} [metadata] - Additional room metadata
  */
 
+/**
+ * @typedef {Object} RoomTypeRule
+ * @property {string} type - The type written to `room.type` (SHOP, TREASURE, PUZZLE, etc)
+ * @property {number} [weight=1] - Relative chance of an eligible room getting this type
+ * @property {number} [minSize] - Minimum room area in tiles
+ * @property {number} [maxSize] - Maximum room area in tiles
+ * @property {number} [minDistanceFromEntry] - Minimum walking distance from the entry to the room
+ * @property {number} [maxDistanceFromEntry] - Maximum walking distance from the entry to the room
+ * @property {boolean} [deadEndOnly=false] - Only rooms with a single corridor connection are eligible
+ * @property {number} [maxCount] - Maximum number of rooms of this type per floor
+ * @property {Object|function(Object, Dungeon): Object} [metadata] - Metadata for the room, or a function building it from the room
+ */
+
+/**
+ * @typedef {Object} DungeonJSON
+ * @property {number} version - the serialization format version
+ * @property {number|string} seed - the seed the dungeon was created from
+ * @property {number} rngState - the state of the random number generator when serialized
+ * @property {DungeonOptions} options - the options the dungeon was created with (without the logger)
+ * @property {number} rowCount - the number of rows in the dungeon
+ * @property {number} colCount - the number of columns in the dungeon
+ * @property {number} roomCount - the number of rooms the grid was built for
+ * @property {boolean} validDungeon - whether the dungeon passed validation
+ * @property {Object} tileMap - the dungeon board (see TileMap.toJSON), from version 3
+ * @property {Array<Array<Object>>} [board] - the dungeon board as an array of columns of tiles, before version 3
+ * @property {GridObj[]} gridList - the list of grid objects
+ * @property {PointObj[]} pointList - the list of point objects
+ * @property {Array<{point1: number, point2: number}>} connectionList - connections as indexes into pointList
+ * @property {Object[]} roomList - the list of room objects
+ * @property {CorridorStats} corridorStats - the loops and dead ends the corridors stage left
+ * @property {Object} specialPoints - Contains entry and exit points
+ * @property {ContentObj[]} contentList - the items, traps and money placed on the floor
+ * @property {EnemySpawnObj[]} enemySpawns - the initial enemy spawn points
+ */
+
+/**
+ * @typedef {Object} DoorwayObj
+ * @property {number} x - the x coordinate of the corridor tile
+ * @property {number} y - the y coordinate of the corridor tile
+ * @property {string} side - the side of the room the doorway is on (NORTH, SOUTH, EAST, WEST)
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - unique id of the node ('room-0', 'junction-2', etc)
+ * @property {string} kind - 'room' or 'junction'
+ * @property {?number} room - the index of the room in roomList, null for junctions
+ * @property {number} x - the x coordinate of the node's centre
+ * @property {number} y - the y coordinate of the node's centre
+ * @property {Array<{x: number, y: number}>} tiles - the junction's corridor tiles, empty for rooms
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - id of the node at one end
+ * @property {string} to - id of the node at the other end
+ * @property {number} length - number of corridor tiles between the two nodes
+ * @property {Array<{x: number, y: number}>} tiles - the corridor tiles making up the edge
+ * @property {Array<{x: number, y: number, room: number}>} doorways - corridor tiles where the edge enters a room
+ */
+
+/**
+ * @callback StepCostFn
+ * @param {{x: number, y: number}} to - The tile being stepped onto
+ * @param {{x: number, y: number}} from - The tile being stepped from
+ * @returns {number} The cost of the step (1 or more), or Infinity to block it
+ */
+
+/**
+ * @typedef {Object} PathOptions
+ * @property {boolean} [diagonal=true] - Whether diagonal steps are allowed
+ * @property {StepCostFn} [costFn] - Cost of each step, every step costs 1 by default
+ * @property {string} [movement='walk'] - How the unit moves (see Dungeon.MovementTypes), which decides the terrain it can cross
+ */
+
 /**
  * @typedef {Object} DungeonOptions
  * @property {number} [rowCount=32] - Number of rows in the dungeon
@@ -54,10 +190,47 @@
  * @property {number} [minRoomSizeY=3] - Minimum room height
  * @property {number} [maxRoomSizeX=7] - Maximum room width
  * @property {number} [maxRoomSizeY=7] - Maximum room height
+ * @property {Object<string, number>} [roomShapes] - Relative weights of the room shapes (see Dungeon.RoomShapes), shapes too big for a room fall back to a rectangle
+ * @property {Object<string, number>} [corridorStyles] - Relative weights of the corridor styles (see Dungeon.CorridorStyles), straight corridors are only used between points in line and bends only between points that aren't
+ * @property {boolean} [corridorsThroughRooms=false] - Whether corridors may run straight through rooms they don't connect, otherwise grid rooms are kept off other grids' corridors and later corridors are routed around rooms where possible
  * @property {number} [pointLossChance=10] - Chance (%) that a connection point will be lost
  * @property {number} [roomLossChance=20] - Chance (%) that a room will be lost
- * @property {number} [randomPathMax=2] - Maximum number of random additional paths
- * @property {number} [seed=null] - Seed for random generation
+ * @property {string} [layout='grid'] - Layout algorithm: 'grid' (PMD style), 'bsp', 'caves' or 'maze'
+ * @property {number} [randomPathMax=2] - Maximum number of random additional paths (extra maze openings for the maze layout), unused by the grid layout when loopCount is set
+ * @property {?number} [loopCount=null] - Number of loops (independent cycles in the room graph) to aim for by adding corridors between nearby rooms or filling in ones that close loops, null leaves loops to randomPathMax
+ * @property {boolean} [pruneDeadEnds=false] - Whether dead end corridors are cut back until none are left, before any are added with deadEndCount
+ * @property {number} [deadEndCount=0] - Number of dead end corridors to branch off existing corridors
+ * @property {number} [deadEndLengthMin=2] - Minimum length of an added dead end corridor
+ * @property {number} [deadEndLengthMax=6] - Maximum length of an added dead end corridor
+ * @property {?number} [gridRows=null] - Number of grid rows, picked from the room count when null
+ * @property {?number} [gridCols=null] - Number of grid columns, picked from the room count when null
+ * @property {number} [gridJitter=20] - How far (% of a cell) the edges between grid cells can move, for irregular cell sizes
+ * @property {number} [largeCellChance=15] - Chance (%) of using a finer grid and merging the extra cells into large ones
+ * @property {string} [terrainMode='none'] - How liquid terrain is laid out: 'none', 'noise', 'lakes' or 'river'
+ * @property {string} [liquidTerrain='WATER'] - The liquid terrain of the floor: 'WATER', 'LAVA' or 'CHASM'
+ * @property {number} [liquidAmount=12] - Percentage of the board the noise and lakes modes try to cover with liquid
+ * @property {number} [secondaryFloorAmount=10] - Percentage of dry room tiles covered with secondary floor, when terrainMode isn't 'none'
+ * @property {string} [exitPlacement='random'] - How the exit is chosen: 'random', 'farthest' or 'percentile' of walking distance from the entry
+ * @property {number} [exitPercentile=75] - Percentile (0-100) of walking distance used by the 'percentile' strategy
+ * @property {number} [minEntryExitDistance=0] - Minimum walking distance between entry and exit, the farthest exit is used if no room pair allows it
+ * @property {SpawnTableEntry[]} [spawnTable] - Weighted table of items, traps, Wonder Tiles and money, defaults to DEFAULT_SPAWN_TABLE
+ * @property {number} [maxContentPerRoom=2] - Maximum number of spawn table entries placed in a single room
+ * @property {number} [maxContentPerFloor=10] - Maximum number of spawn table entries placed on the floor
+ * @property {number} [monsterHouseChance=10] - Chance (%) that a large enough room becomes a monster house
+ * @property {number} [monsterHouseMinSize=25] - Minimum room area (in tiles) for a monster house
+ * @property {number} [monsterHouseDensity=30] - Percentage of a monster house's free tiles that get an enemy
+ * @property {number} [enemyCountMin=2] - Minimum number of enemies spawned outside monster houses
+ * @property {number} [enemyCountMax=5] - Maximum number of enemies spawned outside monster houses
+ * @property {number} [enemySafeRadius=5] - No enemy spawns within this walking distance of the entry
+ * @property {string} [enemySpawnTable='default'] - Spawn table id for regular enemies
+ * @property {string} [monsterHouseSpawnTable='monsterHouse'] - Spawn table id for monster house enemies
+ * @property {RoomTypeRule[]} [roomTypes=[]] - Room type rules for this dungeon, added on top of those from Dungeon.registerRoomType
+ * @property {number} [normalRoomWeight=10] - Weight of a room staying NORMAL when room type rules are eligible
+ * @property {function(GenerationPipeline): void} [configurePipeline] - Called with the dungeon's pipeline before the first generation, to add, replace or remove stages and hooks
+ * @property {number} [maxAttempts=20] - Number of generation attempts before a GenerationError is thrown
+ * @property {number} [emergencyModeAfter=10] - Number of attempts after which point and room loss are turned off for the remaining attempts
+ * @property {number|string} [seed=null] - Seed for random generation, strings are hashed into a numeric seed. A random seed is picked when omitted
+ * @property {DungeonLogger} [logger] - Logger that receives generation events, silent outside the browser by default
  */
 
 class Dungeon {
@@ -67,8 +240,21 @@ class Dungeon {
     CORRIDOR: 'CORRIDOR',
     ENTRY: 'ENTRY',
     EXIT: 'EXIT',
+    TERRAIN: 'TERRAIN',
   };
 
+  static Terrains = Terrains;
+
+  static MovementTypes = MovementTypes;
+
+  static TerrainModes = TerrainModes;
+
+  static TERRAIN_MOVEMENT = TERRAIN_MOVEMENT;
+
+  static OptionsError = DungeonOptionsError;
+
+  static GenerationError = GenerationError;
+
   static RoomTypes = {
     NORMAL: 'NORMAL',
     ENTRY: 'ENTRY',
@@ -76,6 +262,71 @@ class Dungeon {
     SPECIAL: 'SPECIAL',
   };
 
+  static SpecialRoomKinds = {
+    MONSTER_HOUSE: 'MONSTER_HOUSE',
+  };
+
+  static ContentTypes = {
+    ITEM: 'ITEM',
+    TRAP: 'TRAP',
+    WONDER_TILE: 'WONDER_TILE',
+    MONEY: 'MONEY',
+  };
+
+  static DEFAULT_SPAWN_TABLE = [
+    { id: 'apple', kind: Dungeon.ContentTypes.ITEM, weight: 30 },
+    { id: 'oranBerry', kind: Dungeon.ContentTypes.ITEM, weight: 20 },
+    { id: 'poke', kind: Dungeon.ContentTypes.MONEY, weight: 25 },
+    { id: 'spikeTrap', kind: Dungeon.ContentTypes.TRAP, weight: 10, maxPerRoom: 1 },
+    { id: 'wonderTile', kind: Dungeon.ContentTypes.WONDER_TILE, weight: 5, maxPerFloor: 1 },
+  ];
+
+  static DoorwaySides = {
+    NORTH: 'NORTH',
+    SOUTH: 'SOUTH',
+    EAST: 'EAST',
+    WEST: 'WEST',
+  };
+
+  static ExitPlacements = {
+    RANDOM: 'random',
+    FARTHEST: 'farthest',
+    PERCENTILE: 'percentile',
+  };
+
+  static Layouts = {
+    GRID: 'grid',
+    BSP: 'bsp',
+    CAVES: 'caves',
+    MAZE: 'maze',
+  };
+
+  static RoomShapes = RoomShapes;
+
+  static CorridorStyles = CorridorStyles;
+
+  static Stages = {
+    LAYOUT: 'layout',
+    GRID: 'grid',
+    PATHS: 'paths',
+    ROOMS: 'rooms',
+    RANDOM_PATHS: 'randomPaths',
+    CORRIDORS: 'corridors',
+    TERRAIN: 'terrain',
+    VALIDATE: 'validate',
+    DOORWAYS: 'doorways',
+    SPECIAL_POINTS: 'specialPoints',
+    MONSTER_HOUSES: 'monsterHouses',
+    ROOM_TYPES: 'roomTypes',
+    CONTENT: 'content',
+    ENEMIES: 'enemies',
+  };
+
+  // 1: the original board and rectangular rooms
+  // 2: rooms carry their shape and floor tiles
+  // 3: the board is stored as a TileMap
+  static FORMAT_VERSION = 3;
+
   static DEFAULT_OPTIONS = {
     rowCount: 32,
     colCount: 40,
@@ -85,22 +336,349 @@ class Dungeon {
     minRoomSizeY: 3,
     maxRoomSizeX: 7,
     maxRoomSizeY: 7,
+    roomShapes: {
+      [RoomShapes.RECT]: 60,
+      [RoomShapes.L_SHAPE]: 10,
+      [RoomShapes.CROSS]: 10,
+      [RoomShapes.CIRCLE]: 10,
+      [RoomShapes.PILLARED]: 10,
+    },
+    corridorStyles: {
+      [CorridorStyles.STRAIGHT]: 90,
+      [CorridorStyles.L_BEND]: 25,
+      [CorridorStyles.Z_BEND]: 65,
+      [CorridorStyles.WINDING]: 10,
+    },
+    corridorsThroughRooms: false,
     pointLossChance: 10,
     roomLossChance: 20,
     randomPathMax: 2,
+    loopCount: null,
+    pruneDeadEnds: false,
+    deadEndCount: 0,
+    deadEndLengthMin: 2,
+    deadEndLengthMax: 6,
+    layout: 'grid',
+    gridRows: null,
+    gridCols: null,
+    gridJitter: 20,
+    largeCellChance: 15,
+    terrainMode: 'none',
+    liquidTerrain: 'WATER',
+    liquidAmount: 12,
+    secondaryFloorAmount: 10,
+    exitPlacement: 'random',
+    exitPercentile: 75,
+    minEntryExitDistance: 0,
+    spawnTable: null,
+    maxContentPerRoom: 2,
+    maxContentPerFloor: 10,
+    monsterHouseChance: 10,
+    monsterHouseMinSize: 25,
+    monsterHouseDensity: 30,
+    enemyCountMin: 2,
+    enemyCountMax: 5,
+    enemySafeRadius: 5,
+    enemySpawnTable: 'default',
+    monsterHouseSpawnTable: 'monsterHouse',
+    roomTypes: [],
+    normalRoomWeight: 10,
+    configurePipeline: null,
+    maxAttempts: 20,
+    emergencyModeAfter: 10,
     seed: null,
+    logger: null,
   };
 
-  // Move the PRNG methods into the class
+  #rng = new SeededRandom();
   #seed = null;
+  #options = null;
+  #failures = [];
+  // the corridor carved for each grid connection, so rooms can keep off the corridors of other grids
+  #connectionPaths = new Map();
+
+  // set while fromJSON builds an instance, so the constructor skips generation
+  static #restoring = false;
+
+  // the tile type of each TileMap kind, indexed by kind
+  static #tileTypesByKind = [
+    Dungeon.TileTypes.WALL,
+    Dungeon.TileTypes.CORRIDOR,
+    Dungeon.TileTypes.FLOOR,
+    Dungeon.TileTypes.ENTRY,
+    Dungeon.TileTypes.EXIT,
+    Dungeon.TileTypes.TERRAIN,
+  ];
+
+  // room type rules shared by every dungeon, keyed by type
+  static #roomTypeRules = new Map();
+
+  /**
+   * Registers a room type rule used by every dungeon generated afterwards
+   * Registering a type again replaces its rule
+   * @param {RoomTypeRule} rule - The rule to register
+   * @returns {void}
+   */
+  static registerRoomType(rule) {
+    if (typeof rule?.type !== 'string' || rule.type.length === 0) {
+      throw new TypeError('A room type rule needs a type');
+    }
+    if (Object.values(Dungeon.RoomTypes).includes(rule.type)) {
+      throw new Error(`${rule.type} is a built-in room type and can't be registered`);
+    }
+    Dungeon.#roomTypeRules.set(rule.type, rule);
+  }
+
+  /**
+   * Removes a registered room type rule
+   * @param {string} type - The type to remove
+   * @returns {boolean} True if a rule was removed
+   */
+  static unregisterRoomType(type) {
+    return Dungeon.#roomTypeRules.delete(type);
+  }
+
+  /**
+   * Gets the registered room type rules
+   * @returns {RoomTypeRule[]} The registered rules, in registration order
+   */
+  static getRoomTypes() {
+    return [...Dungeon.#roomTypeRules.values()];
+  }
+
+  /**
+   * Creates a pipeline holding the built-in generation stages, in their default order
+   * The grid layout uses the grid, paths, rooms and randomPaths stages, other layouts use a single layout stage,
+   * and both are followed by the terrain stage. Generation stops after the validate stage when the dungeon is invalid
+   * @param {string} [layout='grid'] - The layout to build the pipeline for (see Dungeon.Layouts)
+   * @returns {GenerationPipeline} A new pipeline
+   */
+  static createDefaultPipeline(layout = Dungeon.Layouts.GRID) {
+    const layoutStages = {
+      [Dungeon.Layouts.BSP]: bspLayout,
+      [Dungeon.Layouts.CAVES]: caveLayout,
+      [Dungeon.Layouts.MAZE]: mazeLayout,
+    };
+    if (layout !== Dungeon.Layouts.GRID && !layoutStages[layout]) {
+      throw new Error(`Unknown layout: ${layout}`);
+    }
+    const buildStages = layout === Dungeon.Layouts.GRID
+      ? [
+        { name: Dungeon.Stages.GRID, run: (dungeon) => dungeon.#createGrid() },
+        { name: Dungeon.Stages.PATHS, run: (dungeon) => dungeon.#createPaths() },
+        { name: Dungeon.Stages.ROOMS, run: (dungeon) => dungeon.#createRooms() },
+        { name: Dungeon.Stages.RANDOM_PATHS, run: (dungeon) => dungeon.#addRandomPaths() },
+      ]
+      : [{ name: Dungeon.Stages.LAYOUT, run: layoutStages[layout] }];
+    return new GenerationPipeline([
+      ...buildStages,
+      { name: Dungeon.Stages.CORRIDORS, run: (dungeon) => dungeon.#shapeCorridors() },
+      { name: Dungeon.Stages.TERRAIN, run: addTerrain },
+      { name: Dungeon.Stages.VALIDATE, run: (dungeon) => dungeon.#validateDungeon() },
+      { name: Dungeon.Stages.DOORWAYS, run: (dungeon) => dungeon.#tagDoorways() },
+      { name: Dungeon.Stages.SPECIAL_POINTS, run: (dungeon) => dungeon.#placeSpecialPoints() },
+      { name: Dungeon.Stages.MONSTER_HOUSES, run: (dungeon) => dungeon.#markMonsterHouses() },
+      { name: Dungeon.Stages.ROOM_TYPES, run: (dungeon) => dungeon.#assignRoomTypes() },
+      { name: Dungeon.Stages.CONTENT, run: (dungeon) => dungeon.#placeContent() },
+      { name: Dungeon.Stages.ENEMIES, run: (dungeon) => dungeon.#placeEnemies() },
+    ]);
+  }
+
+  /**
+   * Checks a set of options before any generation is attempted
+   * Missing options are checked with their default values
+   * @param {DungeonOptions} [options={}] - The options to check
+   * @returns {OptionProblem[]} Every problem found, empty if the options are usable
+   */
+  static validateOptions(options = {}) {
+    const config = { ...Dungeon.DEFAULT_OPTIONS, ...options };
+    const problems = [];
+    const problem = (option, message) => problems.push({ option, message });
+    const checkInteger = (option, min, max = Infinity) => {
+      const value = config[option];
+      if (!Number.isInteger(value)) {
+        problem(option, `must be a whole number, got ${JSON.stringify(value)}`);
+        return false;
+      }
+      if (value < min || value > max) {
+        problem(option, max === Infinity ? `must be at least ${min}, got ${value}` : `must be between ${min} and ${max}, got ${value}`);
+        return false;
+      }
+      return true;
+    };
+    const checkOneOf = (option, allowed) => {
+      if (!allowed.includes(config[option])) {
+        problem(option, `must be one of ${allowed.join(', ')}, got ${JSON.stringify(config[option])}`);
+      }
+    };
+
+    const sizes = ['rowCount', 'colCount', 'minRoomSizeX', 'minRoomSizeY', 'maxRoomSizeX', 'maxRoomSizeY']
+      .every((option) => checkInteger(option, 1));
+    const roomCounts = [checkInteger('roomCountMin', 1), checkInteger('roomCountMax', 2)].every(Boolean);
+    for (const option of [
+      'pointLossChance', 'roomLossChance', 'gridJitter', 'largeCellChance', 'exitPercentile', 'monsterHouseChance',
+      'monsterHouseDensity', 'liquidAmount', 'secondaryFloorAmount',
+    ]) {
+      checkInteger(option, 0, 100);
+    }
+    for (const option of [
+      'randomPathMax', 'minEntryExitDistance', 'maxContentPerRoom', 'maxContentPerFloor', 'monsterHouseMinSize',
+      'enemySafeRadius', 'normalRoomWeight', 'emergencyModeAfter', 'deadEndCount',
+    ]) {
+      checkInteger(option, 0);
+    }
+    const deadEndLengths = [checkInteger('deadEndLengthMin', 1), checkInteger('deadEndLengthMax', 1)].every(Boolean);
+    const enemyCounts = [checkInteger('enemyCountMin', 0), checkInteger('enemyCountMax', 0)].every(Boolean);
+    checkInteger('maxAttempts', 1);
+    for (const option of ['gridRows', 'gridCols']) {
+      if (config[option] !== null) {
+        checkInteger(option, 1);
+      }
+    }
+    if (config.loopCount !== null) {
+      checkInteger('loopCount', 0);
+    }
+
+    if (roomCounts && config.roomCountMin > config.roomCountMax) {
+      problem('roomCountMin', `is greater than roomCountMax (${config.roomCountMin} > ${config.roomCountMax})`);
+    }
+    if (enemyCounts && config.enemyCountMin > config.enemyCountMax) {
+      problem('enemyCountMin', `is greater than enemyCountMax (${config.enemyCountMin} > ${config.enemyCountMax})`);
+    }
+    if (deadEndLengths && config.deadEndLengthMin > config.deadEndLengthMax) {
+      problem(
+        'deadEndLengthMin',
+        `is greater than deadEndLengthMax (${config.deadEndLengthMin} > ${config.deadEndLengthMax})`,
+      );
+    }
+    if (sizes) {
+      for (const axis of ['X', 'Y']) {
+        if (config[`minRoomSize${axis}`] > config[`maxRoomSize${axis}`]) {
+          problem(
+            `minRoomSize${axis}`,
+            `is greater than maxRoomSize${axis} (${config[`minRoomSize${axis}`]} > ${config[`maxRoomSize${axis}`]})`,
+          );
+        }
+      }
+      if (config.layout === Dungeon.Layouts.GRID) {
+        // mirror the sizes the constructor uses, and the smallest grid cell #createGrid will make
+        const colCount = Math.max(20, config.colCount);
+        const rowCount = Math.max(20, config.rowCount);
+        const minRoomSizeX = Math.max(3, config.minRoomSizeX);
+        const minRoomSizeY = Math.max(3, config.minRoomSizeY);
+        const maxCols = Math.floor(colCount / Math.max(minRoomSizeX * 2, minRoomSizeX + 2));
+        const maxRows = Math.floor(rowCount / Math.max(minRoomSizeY * 2, minRoomSizeY + 2));
+        const cells = maxCols * maxRows;
+        if (cells < 2) {
+          problem(
+            'minRoomSizeX',
+            `rooms of at least ${minRoomSizeX}x${minRoomSizeY} leave room for ${cells} grid cell on a ${colCount}x${rowCount} board, at least 2 are needed`,
+          );
+        }
+        // a grid shape that's given is used exactly, so it has to fit on the board and hold roomCountMin rooms
+        const gridSizes = [['gridCols', maxCols, 'columns'], ['gridRows', maxRows, 'rows']]
+          .filter(([option]) => Number.isInteger(config[option]) && config[option] >= 1);
+        for (const [option, most, name] of gridSizes) {
+          if (config[option] > most) {
+            problem(
+              option,
+              `rooms of at least ${minRoomSizeX}x${minRoomSizeY} leave room for ${most} grid ${name} on a ${colCount}x${rowCount} board, got ${config[option]}`,
+            );
+          }
+        }
+        // #createGrid clamps a room count above the cells that fit, which is only fine above roomCountMin
+        if (roomCounts && cells >= 2) {
+          const gridCells = Math.min(config.gridCols ?? maxCols, maxCols) * Math.min(config.gridRows ?? maxRows, maxRows);
+          if (config.roomCountMin > gridCells) {
+            problem(
+              'roomCountMin',
+              gridSizes.length > 0
+                ? `is greater than the ${gridCells} cells of the grid set by gridRows and gridCols (${config.roomCountMin} > ${gridCells})`
+                : `is greater than the ${gridCells} rooms of at least ${minRoomSizeX}x${minRoomSizeY} that fit on a ${colCount}x${rowCount} board (${config.roomCountMin} > ${gridCells})`,
+            );
+          }
+        }
+      }
+    }
+
+    checkOneOf('layout', Object.values(Dungeon.Layouts));
+    checkOneOf('exitPlacement', Object.values(Dungeon.ExitPlacements));
+    checkOneOf('terrainMode', Object.values(Dungeon.TerrainModes));
+    checkOneOf('liquidTerrain', [Dungeon.Terrains.WATER, Dungeon.Terrains.LAVA, Dungeon.Terrains.CHASM]);
+
+    if (typeof config.roomShapes !== 'object' || config.roomShapes === null) {
+      problem('roomShapes', 'must be an object of shape weights');
+    }
+    else {
+      for (const [shape, weight] of Object.entries(config.roomShapes)) {
+        if (!Object.values(Dungeon.RoomShapes).includes(shape)) {
+          problem('roomShapes', `has an unknown shape ${JSON.stringify(shape)}`);
+        }
+        else if (typeof weight !== 'number' || !(weight >= 0)) {
+          problem('roomShapes', `the weight of ${shape} must be a number of 0 or more, got ${JSON.stringify(weight)}`);
+        }
+      }
+    }
+    if (typeof config.corridorStyles !== 'object' || config.corridorStyles === null) {
+      problem('corridorStyles', 'must be an object of corridor style weights');
+    }
+    else {
+      for (const [style, weight] of Object.entries(config.corridorStyles)) {
+        if (!Object.values(Dungeon.CorridorStyles).includes(style)) {
+          problem('corridorStyles', `has an unknown style ${JSON.stringify(style)}`);
+        }
+        else if (typeof weight !== 'number' || !(weight >= 0)) {
+          problem('corridorStyles', `the weight of ${style} must be a number of 0 or more, got ${JSON.stringify(weight)}`);
+        }
+      }
+    }
+    for (const option of ['corridorsThroughRooms', 'pruneDeadEnds']) {
+      if (typeof config[option] !== 'boolean') {
+        problem(option, `must be true or false, got ${JSON.stringify(config[option])}`);
+      }
+    }
+    if (config.spawnTable !== null) {
+      if (!Array.isArray(config.spawnTable)) {
+        problem('spawnTable', 'must be an array of spawn table entries');
+      }
+      else {
+        config.spawnTable.forEach((entry, index) => {
+          if (typeof entry?.id !== 'string' || !Object.values(Dungeon.ContentTypes).includes(entry.kind)) {
+            problem('spawnTable', `entry ${index} needs an id and a kind from Dungeon.ContentTypes`);
+          }
+          else if (typeof entry.weight !== 'number' || !(entry.weight >= 0)) {
+            problem('spawnTable', `entry ${index} (${entry.id}) needs a weight of 0 or more`);
+          }
+        });
+      }
+    }
+    if (!Array.isArray(config.roomTypes)) {
+      problem('roomTypes', 'must be an array of room type rules');
+    }
+    else {
+      config.roomTypes.forEach((rule, index) => {
+        if (typeof rule?.type !== 'string' || rule.type.length === 0) {
+          problem('roomTypes', `rule ${index} needs a type`);
+        }
+      });
+    }
+    if (config.configurePipeline !== null && typeof config.configurePipeline !== 'function') {
+      problem('configurePipeline', 'must be a function');
+    }
+    if (config.seed !== null && typeof config.seed !== 'number' && typeof config.seed !== 'string') {
+      problem('seed', `must be a number or a string, got ${typeof config.seed}`);
+    }
+    return problems;
+  }
 
   /**
    * Seeds the random number generator
-   * @param {number} seed - The seed value to use for random generation
+   * @param {number|string} seed - The seed value to use for random generation
    * @private
    */
   seedRandom(seed) {
     this.#seed = seed;
+    this.#rng.seed(seed);
   }
 
   /**
@@ -111,26 +689,15 @@ class Dungeon {
    * @private
    */
   randomInt(min, max) {
-    if (this.#seed === null) {
-      return Math.floor(Math.random() * (max - min + 1)) + min;
-    }
-
-    // Simple seeded random implementation
-    this.#seed = (this.#seed * 9301 + 49297) % 233280;
-    const rnd = this.#seed / 233280;
-    return Math.floor(rnd * (max - min + 1)) + min;
+    return this.#rng.int(min, max);
   }
 
   /**
-   * Prints a message to both the log container and console
+   * Sends a plain message to the dungeon's logger
    * @param {string} text - The text to log
    */
   printToLog(text) {
-    const logContainer = document.querySelector('#logContainer');
-    if (logContainer) {
-      logContainer.innerHTML += `${text}<br>`;
-    }
-    console.log(text);
+    this.logger.info(DungeonLogger.Events.MESSAGE, text);
   }
 
   /**
@@ -138,20 +705,23 @@ class Dungeon {
    * @param {DungeonOptions} [options={}] - Configuration options for the dungeon
    */
   constructor(options = {}) {
+    const problems = Dungeon.validateOptions(options);
+    if (problems.length > 0) {
+      throw new DungeonOptionsError(problems);
+    }
     const config = { ...Dungeon.DEFAULT_OPTIONS, ...options };
+    this.logger = config.logger ?? new DungeonLogger();
+    this.#options = { ...config };
+    delete this.#options.logger;
 
-    // Set the seed if provided
-    if (config.seed !== null) {
-      this.seedRandom(config.seed);
-    }
+    // Use the seed if provided, otherwise pick one so the dungeon can still be reproduced
+    this.seedRandom(config.seed ?? Math.floor(Math.random() * 4294967296));
 
     // Validate and set minimum dimensions
     this.rowCount = Math.max(20, config.rowCount);
     this.colCount = Math.max(20, config.colCount);
 
-    this.board = [...Array(Number(this.colCount))].map(() =>
-      Array(Number(this.rowCount)).fill().map(() => ({ type: 0 })),
-    );
+    this.tileMap = new TileMap(this.colCount, this.rowCount);
 
     this.roomCountMin = config.roomCountMin;
     this.roomCountMax = config.roomCountMax;
@@ -159,7 +729,49 @@ class Dungeon {
     this.pointLossChance = config.pointLossChance;
     this.roomLossChance = config.roomLossChance;
     this.randomPathMax = config.randomPathMax;
+    this.loopCount = config.loopCount;
+    this.pruneDeadEnds = config.pruneDeadEnds;
+    this.deadEndCount = config.deadEndCount;
+    this.deadEndLengthMin = config.deadEndLengthMin;
+    this.deadEndLengthMax = config.deadEndLengthMax;
+    this.roomShapes = config.roomShapes;
+    this.corridorStyles = config.corridorStyles;
+    this.corridorsThroughRooms = config.corridorsThroughRooms;
+    this.gridRows = config.gridRows;
+    this.gridCols = config.gridCols;
+    this.gridJitter = config.gridJitter;
+    this.largeCellChance = config.largeCellChance;
+    this.terrainMode = config.terrainMode;
+    this.liquidTerrain = config.liquidTerrain;
+    this.liquidAmount = config.liquidAmount;
+    this.secondaryFloorAmount = config.secondaryFloorAmount;
+    this.exitPlacement = config.exitPlacement;
+    this.exitPercentile = config.exitPercentile;
+    this.minEntryExitDistance = config.minEntryExitDistance;
+    this.spawnTable = config.spawnTable ?? Dungeon.DEFAULT_SPAWN_TABLE;
+    this.maxContentPerRoom = config.maxContentPerRoom;
+    this.maxContentPerFloor = config.maxContentPerFloor;
+    this.monsterHouseChance = config.monsterHouseChance;
+    this.monsterHouseMinSize = config.monsterHouseMinSize;
+    this.monsterHouseDensity = config.monsterHouseDensity;
+    this.enemyCountMin = config.enemyCountMin;
+    this.enemyCountMax = config.enemyCountMax;
+    this.enemySafeRadius = config.enemySafeRadius;
+    this.enemySpawnTable = config.enemySpawnTable;
+    this.monsterHouseSpawnTable = config.monsterHouseSpawnTable;
+    this.roomTypes = config.roomTypes;
+    this.normalRoomWeight = config.normalRoomWeight;
+    this.layout = config.layout;
+    this.maxAttempts = config.maxAttempts;
+    this.emergencyModeAfter = config.emergencyModeAfter;
+
+    this.pipeline = Dungeon.createDefaultPipeline(this.layout);
+    if (config.configurePipeline) {
+      config.configurePipeline(this.pipeline);
+    }
     this.validDungeon = false;
+    this.attempts = 0;
+    this.emergencyMode = false;
 
     // Validate and set room sizes
     this.minRoomSizeX = Math.max(3, config.minRoomSizeX);
@@ -167,115 +779,250 @@ class Dungeon {
     this.maxRoomSizeX = Math.max(this.minRoomSizeX, config.maxRoomSizeX);
     this.maxRoomSizeY = Math.max(this.minRoomSizeY, config.maxRoomSizeY);
 
-    // Ensure room count is divisible by 2 or 3
-    while (this.roomCount % 2 !== 0 && this.roomCount % 3 !== 0) {
-      this.roomCount++;
-    }
-
     this.gridList = [];
     this.pointList = [];
     this.connectionList = [];
     this.roomList = [];
+    this.corridorStats = { loops: 0, deadEnds: 0, prunedTiles: 0 };
     this.specialPoints = {
       entry: null,
       exit: null,
     };
+    this.contentList = [];
+    this.enemySpawns = [];
+
+    if (Dungeon.#restoring) {
+      return;
+    }
 
-    let attempts = 0;
-    while (!this.validDungeon && attempts < 10) {
-      this.regenerate();
-      attempts++;
+    const failedAttempts = [];
+    while (!this.validDungeon && this.attempts < this.maxAttempts) {
+      this.attempts++;
+      this.emergencyMode = this.attempts > this.emergencyModeAfter;
+      if (!this.emergencyMode) {
+        this.regenerate();
+      }
+      else {
+        // turn off point loss and room loss, emergency mode
+        const previousPointLossChance = this.pointLossChance;
+        const previousRoomLossChance = this.roomLossChance;
+        this.pointLossChance = 0;
+        this.roomLossChance = 0;
+        this.logger.warn(
+          DungeonLogger.Events.EMERGENCY_MODE,
+          `Attempt ${this.attempts}: regenerating with point and room loss disabled`,
+          { attempt: this.attempts },
+        );
+        this.regenerate();
+        this.pointLossChance = previousPointLossChance;
+        this.roomLossChance = previousRoomLossChance;
+      }
+      if (!this.validDungeon) {
+        failedAttempts.push({ attempt: this.attempts, emergencyMode: this.emergencyMode, failures: this.#failures });
+      }
     }
-    while (!this.validDungeon && attempts >= 10) {
-      // turn off point loss and room loss, emergency mode
-      const previousPointLossChance = this.pointLossChance;
-      const previousRoomLossChance = this.roomLossChance;
-      this.pointLossChance = 0;
-      this.roomLossChance = 0;
-      this.regenerate();
-      attempts++;
-      this.pointLossChance = previousPointLossChance;
-      this.roomLossChance = previousRoomLossChance;
+    if (!this.validDungeon) {
+      const error = new GenerationError(failedAttempts);
+      this.logger.error(DungeonLogger.Events.GENERATION_FAILED, error.message, { attempts: failedAttempts });
+      throw error;
     }
   }
 
   /**
-   * Regenerates the dungeon with current settings
+   * Gets the board in its original format, an array of columns of `{ type, terrain?, metadata? }` tiles
+   * The board is built from tileMap on every access, so read it once rather than per tile, and prefer
+   * getTileAt and isWalkable. Changing the returned tiles doesn't change the dungeon
+   * @returns {Object[][]} The board, indexed as [x][y]
+   */
+  get board() {
+    return [...Array(this.colCount)].map((column, x) =>
+      [...Array(this.rowCount)].map((tile, y) => this.tileMap.toLegacyTile(x, y)),
+    );
+  }
+
+  /**
+   * Replaces the board with one in its original format
+   * @param {Object[][]} board - An array of columns of `{ type, terrain?, metadata? }` tiles
+   */
+  set board(board) {
+    this.tileMap = TileMap.fromLegacyBoard(board);
+  }
+
+  /**
+   * Regenerates the dungeon with current settings, in a single attempt
+   * Check validDungeon and getFailures() afterwards, the constructor is what retries
    * @returns {void}
    */
   regenerate() {
-    this.board = [...Array(Number(this.colCount))].map(() =>
-      Array(Number(this.rowCount)).fill().map(() => ({ type: 0 })),
-    );
+    this.tileMap = new TileMap(this.colCount, this.rowCount);
     this.roomCount = this.randomInt(this.roomCountMin, this.roomCountMax);
-    while (this.roomCount % 2 !== 0 && this.roomCount % 3 !== 0) {
-      this.roomCount++;
-    }
     this.gridList = [];
-    this.#createGrid();
-
     this.pointList = [];
     this.connectionList = [];
-    this.#createPaths();
-
     this.roomList = [];
-    this.#createRooms();
+    this.corridorStats = { loops: 0, deadEnds: 0, prunedTiles: 0 };
+    this.specialPoints = {
+      entry: null,
+      exit: null,
+    };
+    this.contentList = [];
+    this.enemySpawns = [];
+    this.#failures = [];
 
-    this.#addRandomPaths();
-    this.validDungeon = this.#validateDungeon();
+    this.validDungeon = this.pipeline.run(this);
+    if (!this.validDungeon && this.#failures.length === 0) {
+      this.#failures.push({ check: 'pipeline', message: 'a pipeline stage stopped generation', data: {} });
+    }
+    if (this.validDungeon) {
+      this.logger.info(
+        DungeonLogger.Events.DUNGEON_GENERATED,
+        `Dungeon generated with ${this.roomList.length} rooms`,
+        { roomCount: this.roomList.length, specialPoints: this.specialPoints },
+      );
+    }
   }
 
   /**
    * Creates the initial grid layout for room placement
+   * The board is split into rows x columns cells (jittered by gridJitter), then neighbouring cells are
+   * merged until there is exactly one cell per room
    * @private
    * @returns {void}
    */
   #createGrid() {
-    // if the roomCount is divisible by 2
-    if (this.roomCount % 2 === 0) {
-      // get the other divisor that the roomCount is divisible by
-      const otherDivisor = this.roomCount / 2;
-      // split the board horizontally into two equal parts
-      const splitRow = Math.floor(this.rowCount / 2);
-      // split each half vertically by the other divisor
-      const splitCol = Math.floor(this.colCount / otherDivisor);
-
-      // store the gridList
-      for (let i = 0; i < otherDivisor; i++) {
-        for (let j = 0; j < 2; j++) {
-          const grid = {
-            x: i * splitCol,
-            y: j * splitRow,
-            width: splitCol,
-            height: splitRow,
-            index: this.gridList.length,
-          };
-          this.gridList.push(grid);
-        }
-      }
-    }
-    // if it's not divisible by 2, then it's divisible by 3
-    else {
-      // get the other divisor that the roomCount is divisible by
-      const otherDivisor = this.roomCount / 3;
-      // split the board vertically into three equal parts
-      const splitCol = Math.floor(this.colCount / 3);
-      // split each third horizontally by the other divisor
-      const splitRow = Math.floor(this.rowCount / otherDivisor);
+    // cells need room for a connection point with a minimum sized room either side of it
+    const minCellWidth = Math.max(this.minRoomSizeX * 2, this.minRoomSizeX + 2);
+    const minCellHeight = Math.max(this.minRoomSizeY * 2, this.minRoomSizeY + 2);
+    // validateOptions has checked that a given grid shape fits, and it's used as it is
+    const maxCols = this.gridCols ?? Math.max(1, Math.floor(this.colCount / minCellWidth));
+    const maxRows = this.gridRows ?? Math.max(1, Math.floor(this.rowCount / minCellHeight));
+    if (this.roomCount > maxCols * maxRows) {
+      this.logger.warn(
+        DungeonLogger.Events.ROOM_COUNT_CLAMPED,
+        `Only ${maxCols * maxRows} rooms fit on a ${this.colCount}x${this.rowCount} board, not ${this.roomCount}`,
+        { requested: this.roomCount, fits: maxCols * maxRows },
+      );
+      this.roomCount = maxCols * maxRows;
+    }
+
+    let { rows, cols } = this.#chooseGridShape(maxRows, maxCols);
+    // sometimes use a finer grid, so the extra merges make large cells
+    if (this.randomInt(1, 100) <= this.largeCellChance) {
+      if (cols < maxCols && (this.colCount / (cols + 1) >= this.rowCount / rows || rows >= maxRows)) {
+        cols++;
+      }
+      else if (rows < maxRows) {
+        rows++;
+      }
+    }
+
+    const columnEdges = this.#splitAxis(this.colCount, cols, minCellWidth);
+    const rowEdges = this.#splitAxis(this.rowCount, rows, minCellHeight);
+    const cells = [];
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < rows; j++) {
+        cells.push({
+          x: columnEdges[i],
+          y: rowEdges[j],
+          width: columnEdges[i + 1] - columnEdges[i],
+          height: rowEdges[j + 1] - rowEdges[j],
+        });
+      }
+    }
+    this.#mergeGridCells(cells, cells.length - this.roomCount);
+
+    // store the gridList
+    for (const cell of cells) {
+      this.gridList.push({ ...cell, index: this.gridList.length });
+    }
+  }
+
+  /**
+   * Picks the number of grid rows and columns for the room count
+   * Uses gridRows and gridCols when set, otherwise the shape with the fewest spare cells and the squarest cells
+   * @private
+   * @param {number} maxRows - The most rows that fit on the board
+   * @param {number} maxCols - The most columns that fit on the board
+   * @returns {{rows: number, cols: number}} The grid shape
+   */
+  #chooseGridShape(maxRows, maxCols) {
+    if (this.gridRows && this.gridCols) {
+      return { rows: this.gridRows, cols: this.gridCols };
+    }
+    let best = null;
+    for (let rows = this.gridRows ?? 1; rows <= maxRows; rows++) {
+      const cols = this.gridCols ?? Math.ceil(this.roomCount / rows);
+      if (cols > maxCols || rows * cols < this.roomCount) {
+        continue;
+      }
+      // every spare cell costs a merge, and long thin cells make for samey corridors
+      const spare = rows * cols - this.roomCount;
+      const aspect = Math.abs(Math.log((this.colCount / cols) / (this.rowCount / rows)));
+      const score = spare + aspect * 2;
+      if (!best || score < best.score) {
+        best = { rows, cols, score };
+      }
+    }
+    return best ?? { rows: maxRows, cols: maxCols };
+  }
+
+  /**
+   * Splits one side of the board into cells, moving each inner edge by up to gridJitter percent of a cell
+   * @private
+   * @param {number} length - The length of the board side
+   * @param {number} count - The number of cells along it
+   * @param {number} minSize - The minimum size of a cell
+   * @returns {number[]} The cell edges, starting at 0 and ending at length
+   */
+  #splitAxis(length, count, minSize) {
+    const cellSize = length / count;
+    const jitter = Math.floor((cellSize * this.gridJitter) / 100);
+    const edges = [0];
+    for (let i = 1; i < count; i++) {
+      const edge = Math.round(i * cellSize) + this.randomInt(-jitter, jitter);
+      // keep the cells either side of the edge at least minSize
+      const lowest = edges[i - 1] + minSize;
+      const highest = length - (count - i) * minSize;
+      edges.push(Math.min(Math.max(edge, lowest), highest));
+    }
+    edges.push(length);
+    return edges;
+  }
 
-      // store the gridList
-      for (let i = 0; i < otherDivisor; i++) {
-        for (let j = 0; j < 3; j++) {
-          const grid = {
-            x: j * splitCol,
-            y: i * splitRow,
-            width: splitCol,
-            height: splitRow,
-            index: this.gridList.length,
-          };
-          this.gridList.push(grid);
+  /**
+   * Merges pairs of neighbouring cells that share a whole edge into one larger cell
+   * @private
+   * @param {Array<{x: number, y: number, width: number, height: number}>} cells - The cells, merged in place
+   * @param {number} mergeCount - The number of merges to make
+   * @returns {void}
+   */
+  #mergeGridCells(cells, mergeCount) {
+    for (let merge = 0; merge < mergeCount; merge++) {
+      const pairs = [];
+      for (let a = 0; a < cells.length; a++) {
+        for (let b = 0; b < cells.length; b++) {
+          const first = cells[a];
+          const second = cells[b];
+          const besideIt = second.x === first.x + first.width && second.y === first.y && second.height === first.height;
+          const belowIt = second.y === first.y + first.height && second.x === first.x && second.width === first.width;
+          if (besideIt || belowIt) {
+            pairs.push([a, b]);
+          }
         }
       }
+      if (pairs.length === 0) {
+        break;
+      }
+      const [a, b] = pairs[this.randomInt(0, pairs.length - 1)];
+      const first = cells[a];
+      const second = cells[b];
+      cells[a] = {
+        x: first.x,
+        y: first.y,
+        width: second.x + second.width - first.x,
+        height: second.y + second.height - first.y,
+      };
+      cells.splice(b, 1);
     }
   }
 
@@ -305,7 +1052,7 @@ class Dungeon {
     // points are placed on the board
     for (let i = 0; i < this.pointList.length; i++) {
       const point = this.pointList[i];
-      this.board[point.x][point.y] = { type: point.gridIndex + 1 };
+      this.tileMap.setTile(point.x, point.y, TileMap.Kinds.ROOM, point.gridIndex + 1);
     }
     // get the paths we need to generate, based on adjacent grids
     for (let i = 0; i < this.gridList.length; i++) {
@@ -327,16 +1074,30 @@ class Dungeon {
         if (this.randomInt(1, 100) > this.pointLossChance) {
           this.connectionList.push(connection);
         }
+        else {
+          this.logger.debug(
+            DungeonLogger.Events.CONNECTION_DROPPED,
+            `Connection between grid ${grid.index + 1} and grid ${adjacentGrid.index + 1} dropped`,
+            { connection },
+          );
+        }
       }
     }
     // loop through the connectionList and generate the paths
+    this.#connectionPaths = new Map();
     for (let i = 0; i < this.connectionList.length; i++) {
       const connection = this.connectionList[i];
       const path = this.#getPath(connection.point1, connection.point2);
+      this.#connectionPaths.set(connection, path);
+      this.logger.debug(
+        DungeonLogger.Events.PATH_ADDED,
+        `Adding path between grid ${connection.point1.gridIndex + 1} and grid ${connection.point2.gridIndex + 1}`,
+        { connection, tiles: path },
+      );
       // add the path to the board
       for (let j = 0; j < path.length; j++) {
         const point = path[j];
-        this.board[point.x][point.y] = { type: 'P' };
+        this.tileMap.setTile(point.x, point.y, TileMap.Kinds.CORRIDOR);
       }
     }
   }
@@ -360,6 +1121,15 @@ class Dungeon {
       if (validConnections.length == 0) {
         continue;
       }
+      // corridors joining other grids can cross this grid's cell, and the room mustn't be drawn over them
+      const foreignCorridors = new Set();
+      for (const [connection, path] of this.corridorsThroughRooms ? [] : this.#connectionPaths) {
+        if (connection.point1.gridIndex !== grid.index && connection.point2.gridIndex !== grid.index) {
+          for (const { x, y } of path) {
+            foreignCorridors.add(x * this.rowCount + y);
+          }
+        }
+      }
       // loop until we find a valid position for the room
       let validPosition = false;
       let attempts = 0;
@@ -369,6 +1139,8 @@ class Dungeon {
       // pick a starting point for the room
       let roomX = this.randomInt(grid.x, grid.x + grid.width - roomWidth);
       let roomY = this.randomInt(grid.y, grid.y + grid.height - roomHeight);
+      let shape = this.#pickRoomShape(roomWidth, roomHeight);
+      let roomTiles = shapeTiles(shape, { x: roomX, y: roomY, width: roomWidth, height: roomHeight }, this.randomInt(0, 3));
       while (!validPosition && attempts < 1000) {
         // check if the room is valid
         validPosition = true;
@@ -382,7 +1154,7 @@ class Dungeon {
               break;
             }
             // make sure the room is not overlapping another room
-            if (this.board[x][y].type > 0) {
+            if (this.tileMap.getKind(x, y) === TileMap.Kinds.ROOM) {
               validPosition = false;
               break;
             }
@@ -396,18 +1168,25 @@ class Dungeon {
               validPosition = false;
               break;
             }
-            // track if the room has intersected with a point
-            if (x === point.x && y === point.y) {
-              onPoint = true;
-            }
           }
         }
+        // pillared rooms wall off their whole bounds, other shapes only cover their floor
+        const footprint = shape === RoomShapes.PILLARED
+          ? shapeTiles(RoomShapes.RECT, { x: roomX, y: roomY, width: roomWidth, height: roomHeight })
+          : roomTiles;
+        if (validPosition && footprint.some(({ x, y }) => foreignCorridors.has(x * this.rowCount + y))) {
+          validPosition = false;
+        }
+        // track if the room's floor (not just its bounds) has intersected with a point
+        onPoint = roomTiles.some((tile) => tile.x === point.x && tile.y === point.y);
         if (!validPosition || !onPoint) {
-          // regenerate the room size and position
+          // regenerate the room size, position and shape
           roomWidth = this.randomInt(this.minRoomSizeX, this.maxRoomSizeX);
           roomHeight = this.randomInt(this.minRoomSizeY, this.maxRoomSizeY);
           roomX = this.randomInt(grid.x, grid.x + grid.width - roomWidth);
           roomY = this.randomInt(grid.y, grid.y + grid.height - roomHeight);
+          shape = this.#pickRoomShape(roomWidth, roomHeight);
+          roomTiles = shapeTiles(shape, { x: roomX, y: roomY, width: roomWidth, height: roomHeight }, this.randomInt(0, 3));
           // start the loop over
           validPosition = false;
           onPoint = false;
@@ -416,15 +1195,31 @@ class Dungeon {
           break;
         }
       }
+      if (!validPosition) {
+        // the grid cell can't hold a room over its point, so leave it empty rather than drawing an invalid room
+        this.#recordFailure(
+          DungeonLogger.Events.ROOM_PLACEMENT_FAILED,
+          'roomPlacement',
+          `Room ${i + 1} couldn't be placed in its grid cell after ${attempts} attempts`,
+          { grid: i, attempts },
+        );
+        continue;
+      }
       // time for the dice roll! use this.roomLossChance to determine if the room is lost
       const diceRoll = this.randomInt(1, 100);
       if (diceRoll >= this.roomLossChance) {
-        // draw the room on the board
-        for (let x = roomX; x < roomX + roomWidth; x++) {
-          for (let y = roomY; y < roomY + roomHeight; y++) {
-            this.board[x][y] = { type: i + 1 };
+        // pillars are solid, even where a corridor was carved through the room's bounds
+        if (shape === RoomShapes.PILLARED) {
+          for (let x = roomX; x < roomX + roomWidth; x++) {
+            for (let y = roomY; y < roomY + roomHeight; y++) {
+              this.tileMap.setTile(x, y, TileMap.Kinds.WALL);
+            }
           }
         }
+        // draw the room on the board, tiles of the bounds outside the shape are left as they were
+        for (const tile of roomTiles) {
+          this.tileMap.setTile(tile.x, tile.y, TileMap.Kinds.ROOM, i + 1);
+        }
         // add the room to the roomList
         const room = {
           x: roomX,
@@ -433,138 +1228,537 @@ class Dungeon {
           height: roomHeight,
           grid: i,
           onPoint,
+          shape,
+          tiles: roomTiles,
         };
         this.roomList.push(room);
-        this.printToLog(
-          `Room ${i + 1
-          } - x: ${roomX}, y: ${roomY}, width: ${roomWidth}, height: ${roomHeight}, onPoint: ${onPoint}`,
+        this.logger.info(
+          DungeonLogger.Events.ROOM_PLACED,
+          `Room ${i + 1} - x: ${roomX}, y: ${roomY}, width: ${roomWidth}, height: ${roomHeight}, shape: ${shape}, onPoint: ${onPoint}`,
+          { room, attempts },
+        );
+      }
+      else {
+        this.logger.debug(
+          DungeonLogger.Events.ROOM_LOST,
+          `Room ${i + 1} lost to room loss roll`,
+          { grid: i },
         );
       }
     }
-    // After all rooms are created, designate entry and exit rooms
-    if (this.roomList.length >= 2) {
-      // Simply pick two different random rooms for entry and exit
-      const availableRooms = [...this.roomList];
-
-      // Pick random entry room
-      const entryIndex = this.randomInt(0, availableRooms.length - 1);
-      const entryRoom = availableRooms[entryIndex];
-      availableRooms.splice(entryIndex, 1);
-
-      // Pick random exit room from remaining rooms
-      const exitIndex = this.randomInt(0, availableRooms.length - 1);
-      const exitRoom = availableRooms[exitIndex];
-
-      // Set room types
-      entryRoom.type = Dungeon.RoomTypes.ENTRY;
-      exitRoom.type = Dungeon.RoomTypes.EXIT;
-
-      // Place entry and exit points in random locations within their rooms
-      this.specialPoints.entry = {
-        x: this.randomInt(entryRoom.x + 1, entryRoom.x + entryRoom.width - 2),
-        y: this.randomInt(entryRoom.y + 1, entryRoom.y + entryRoom.height - 2),
-      };
+  }
 
-      this.specialPoints.exit = {
-        x: this.randomInt(exitRoom.x + 1, exitRoom.x + exitRoom.width - 2),
-        y: this.randomInt(exitRoom.y + 1, exitRoom.y + exitRoom.height - 2),
-      };
+  /**
+   * Picks a room shape using the roomShapes weights, from the shapes that fit the room's size
+   * @private
+   * @param {number} width - The width of the room's bounds
+   * @param {number} height - The height of the room's bounds
+   * @returns {string} The shape (see Dungeon.RoomShapes)
+   */
+  #pickRoomShape(width, height) {
+    const entries = Object.entries(this.roomShapes)
+      .filter(([shape]) => shapeFits(shape, width, height))
+      .map(([shape, weight]) => ({ shape, weight }));
+    return this.#pickWeighted(entries)?.shape ?? RoomShapes.RECT;
+  }
 
-      // Update tile types
-      this.board[this.specialPoints.entry.x][this.specialPoints.entry.y].type = Dungeon.TileTypes.ENTRY;
-      this.board[this.specialPoints.exit.x][this.specialPoints.exit.y].type = Dungeon.TileTypes.EXIT;
-    }
+  /**
+   * Gets the walkable tiles of a room that are surrounded by the room's own walkable floor on all four sides
+   * Falls back to every walkable tile of the room when it has no such tiles
+   * @private
+   * @param {RoomObj} room - The room
+   * @returns {Array<{x: number, y: number}>} The room's inner tiles
+   */
+  #getInnerTiles(room) {
+    const walkable = room.tiles.filter(({ x, y }) => this.isWalkable(x, y));
+    const tileKeys = new Set(walkable.map((tile) => tile.x * this.rowCount + tile.y));
+    const inner = walkable.filter(({ x, y }) =>
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].every(([nx, ny]) => tileKeys.has(nx * this.rowCount + ny)),
+    );
+    return inner.length > 0 ? inner : walkable;
   }
 
   /**
-   * Generates a path between two points
+   * Designates the entry and exit rooms, and places the stairs within them
+   * The exit is chosen by walking distance from the entry, using the exitPlacement strategy
    * @private
-   * @param {{x: number, y: number}} point1 - Starting point
-   * @param {{x: number, y: number}} point2 - Ending point
-   * @returns {Array<{x: number, y: number}>} Array of points forming the path
+   * @returns {void}
    */
-  #getPath(point1, point2) {
-    // get the start and end points
-    const startPoint = point1;
-    const endPoint = point2;
-    // get the start and end x and y values
-    const startX = startPoint.x;
-    const startY = startPoint.y;
-    const endX = endPoint.x;
-    const endY = endPoint.y;
-    // get the difference between the start and end x and y values
-    const xDiff = endX - startX;
-    const yDiff = endY - startY;
-    // if the x difference is greater than the y difference, we move in the x direction
-    // otherwise we move in the y direction
-    const path = [];
-    if (xDiff > yDiff) {
-      // for the first half of the path, we move in the x direction
-      for (let i = 0; i < Math.abs(xDiff) / 2; i++) {
-        if (xDiff > 0) {
-          path.push({ x: startX + i, y: startY });
-        }
-        else {
-          path.push({ x: startX - i, y: startY });
+  #placeSpecialPoints() {
+    if (this.roomList.length < 2) {
+      return;
+    }
+    // try entry rooms in a random order until one has an exit far enough away
+    const entryRooms = [...this.roomList];
+    for (let i = entryRooms.length - 1; i > 0; i--) {
+      const j = this.randomInt(0, i);
+      [entryRooms[i], entryRooms[j]] = [entryRooms[j], entryRooms[i]];
+    }
+    let best = null;
+    for (const entryRoom of entryRooms) {
+      const entryTiles = this.#getInnerTiles(entryRoom);
+      const { x: entryX, y: entryY } = entryTiles[this.randomInt(0, entryTiles.length - 1)];
+      const entry = { x: entryX, y: entryY };
+      const distances = this.distanceMap(entry);
+      // every reachable tile inside another room could hold the exit
+      const candidates = [];
+      for (const room of this.roomList) {
+        if (room === entryRoom) {
+          continue;
         }
-      }
-      // we then do all needed y movements (assuming we're not moving in a straight line)
-      if (yDiff !== 0) {
-        for (let i = 1; i <= Math.abs(yDiff); i++) {
-          // we're going to slightly cheat here and just use whatever was the last path entry to get the correct x value
-          if (yDiff > 0) {
-            path.push({ x: path[path.length - 1].x, y: startY + i });
-          }
-          else {
-            path.push({ x: path[path.length - 1].x, y: startY - i });
+        for (const { x, y } of this.#getInnerTiles(room)) {
+          if (Number.isFinite(distances[x][y])) {
+            candidates.push({ x, y, room, distance: distances[x][y] });
           }
         }
       }
-      // then we do the second half of the x movements
-      for (let i = path[path.length - 1].x; i < Math.abs(endX); i++) {
-        if (xDiff > 0) {
-          path.push({ x: i + 1, y: endY });
+      if (candidates.length === 0) {
+        continue;
+      }
+      const farEnough = candidates.filter((c) => c.distance >= this.minEntryExitDistance);
+      if (farEnough.length > 0) {
+        best = { entryRoom, entry, exit: this.#pickExit(farEnough), fallback: false };
+        break;
+      }
+      // remember the farthest exit seen, in case no room pair satisfies the minimum
+      const farthest = candidates.reduce((a, b) => (b.distance > a.distance ? b : a));
+      if (!best || farthest.distance > best.exit.distance) {
+        best = { entryRoom, entry, exit: farthest, fallback: true };
+      }
+    }
+    if (!best) {
+      return;
+    }
+    if (best.fallback) {
+      this.logger.warn(
+        DungeonLogger.Events.EXIT_DISTANCE_UNMET,
+        `No exit is ${this.minEntryExitDistance} steps from the entry, using the farthest (${best.exit.distance})`,
+        { minEntryExitDistance: this.minEntryExitDistance, distance: best.exit.distance },
+      );
+    }
+
+    // Set room types
+    best.entryRoom.type = Dungeon.RoomTypes.ENTRY;
+    best.exit.room.type = Dungeon.RoomTypes.EXIT;
+
+    this.specialPoints.entry = best.entry;
+    this.specialPoints.exit = { x: best.exit.x, y: best.exit.y };
+
+    // Update tile types
+    this.tileMap.setKind(this.specialPoints.entry.x, this.specialPoints.entry.y, TileMap.Kinds.ENTRY);
+    this.tileMap.setKind(this.specialPoints.exit.x, this.specialPoints.exit.y, TileMap.Kinds.EXIT);
+  }
+
+  /**
+   * Picks an exit tile from the candidates using the exitPlacement strategy
+   * @private
+   * @param {Array<{x: number, y: number, room: Object, distance: number}>} candidates - Reachable exit tiles
+   * @returns {{x: number, y: number, room: Object, distance: number}} The chosen exit tile
+   */
+  #pickExit(candidates) {
+    switch (this.exitPlacement) {
+      case Dungeon.ExitPlacements.FARTHEST:
+        return candidates.reduce((a, b) => (b.distance > a.distance ? b : a));
+      case Dungeon.ExitPlacements.PERCENTILE: {
+        const sorted = [...candidates].sort((a, b) => a.distance - b.distance);
+        const percentile = Math.min(Math.max(this.exitPercentile, 0), 100);
+        return sorted[Math.round((percentile / 100) * (sorted.length - 1))];
+      }
+      default: {
+        // pick a random room first, so big rooms aren't favoured, then a random tile in it
+        const rooms = [...new Set(candidates.map((c) => c.room))];
+        const room = rooms[this.randomInt(0, rooms.length - 1)];
+        const roomTiles = candidates.filter((c) => c.room === room);
+        return roomTiles[this.randomInt(0, roomTiles.length - 1)];
+      }
+    }
+  }
+
+  /**
+   * Turns some large rooms into monster houses
+   * The entry and exit rooms are never picked
+   * @private
+   * @returns {void}
+   */
+  #markMonsterHouses() {
+    for (const room of this.roomList) {
+      if (room.type === Dungeon.RoomTypes.ENTRY || room.type === Dungeon.RoomTypes.EXIT) {
+        continue;
+      }
+      if (room.tiles.length < this.monsterHouseMinSize) {
+        continue;
+      }
+      if (this.randomInt(1, 100) <= this.monsterHouseChance) {
+        room.type = Dungeon.RoomTypes.SPECIAL;
+        room.metadata = {
+          kind: Dungeon.SpecialRoomKinds.MONSTER_HOUSE,
+          spawnTable: this.monsterHouseSpawnTable,
+        };
+      }
+    }
+  }
+
+  /**
+   * Gives every room without a type one from the room type rules, or NORMAL
+   * Rules from the roomTypes option replace registered rules of the same type
+   * @private
+   * @returns {void}
+   */
+  #assignRoomTypes() {
+    const rules = new Map(Dungeon.#roomTypeRules);
+    for (const rule of this.roomTypes) {
+      rules.set(rule.type, rule);
+    }
+    // the entry can be missing when a custom pipeline drops the special points stage
+    const { entry } = this.specialPoints;
+    const distances = entry ? this.distanceMap(entry) : null;
+    // a dead end room has one corridor leading out of it, however many doorway tiles that corridor makes
+    const corridorCounts = new Map();
+    const { nodes, edges } = this.getRoomGraph();
+    const places = this.#graphPlaces(nodes);
+    for (const edge of edges) {
+      const from = places.get(edge.from);
+      const to = places.get(edge.to);
+      if (from !== to) {
+        corridorCounts.set(from, (corridorCounts.get(from) ?? 0) + 1);
+        corridorCounts.set(to, (corridorCounts.get(to) ?? 0) + 1);
+      }
+    }
+    const typeCounts = new Map();
+    for (const [index, room] of this.roomList.entries()) {
+      if (room.type) {
+        room.metadata = room.metadata ?? {};
+        continue;
+      }
+      const size = room.tiles.length;
+      let distance = Infinity;
+      for (const { x, y } of distances ? room.tiles : []) {
+        distance = Math.min(distance, distances[x][y]);
+      }
+      const deadEnd = corridorCounts.get(`room-${index}`) === 1;
+      const eligible = [...rules.values()].filter((rule) =>
+        (rule.minSize === undefined || size >= rule.minSize) &&
+        (rule.maxSize === undefined || size <= rule.maxSize) &&
+        (rule.minDistanceFromEntry === undefined || distance >= rule.minDistanceFromEntry) &&
+        (rule.maxDistanceFromEntry === undefined || distance <= rule.maxDistanceFromEntry) &&
+        (!rule.deadEndOnly || deadEnd) &&
+        (rule.maxCount === undefined || (typeCounts.get(rule.type) ?? 0) < rule.maxCount),
+      );
+      const picked = this.#pickWeighted([
+        ...eligible.map((rule) => ({ ...rule, weight: rule.weight ?? 1 })),
+        { type: Dungeon.RoomTypes.NORMAL, weight: this.normalRoomWeight },
+      ]) ?? { type: Dungeon.RoomTypes.NORMAL };
+      room.type = picked.type;
+      if (typeof picked.metadata === 'function') {
+        room.metadata = picked.metadata(room, this) ?? {};
+      }
+      else {
+        room.metadata = structuredClone(picked.metadata ?? {});
+      }
+      typeCounts.set(picked.type, (typeCounts.get(picked.type) ?? 0) + 1);
+    }
+  }
+
+  /**
+   * Finds the doorways of every room, storing them on the room and tagging the board tiles
+   * @private
+   * @returns {void}
+   */
+  #tagDoorways() {
+    this.roomList.forEach((room, index) => {
+      room.doorways = this.#findDoorways(room);
+      for (const doorway of room.doorways) {
+        const metadata = this.tileMap.getMetadata(doorway.x, doorway.y);
+        const rooms = metadata?.doorway?.rooms ?? [];
+        this.tileMap.setMetadata(doorway.x, doorway.y, { ...metadata, doorway: { rooms: [...rooms, index] } });
+      }
+    });
+  }
+
+  /**
+   * Finds the doorways of a room, the corridor tiles directly next to its floor
+   * @private
+   * @param {RoomObj} room - The room to check
+   * @returns {DoorwayObj[]} The room's doorways
+   */
+  #findDoorways(room) {
+    const doorways = [];
+    const found = new Set();
+    const sides = [
+      [0, -1, Dungeon.DoorwaySides.NORTH],
+      [0, 1, Dungeon.DoorwaySides.SOUTH],
+      [-1, 0, Dungeon.DoorwaySides.WEST],
+      [1, 0, Dungeon.DoorwaySides.EAST],
+    ];
+    for (const tile of room.tiles) {
+      for (const [dx, dy, side] of sides) {
+        const x = tile.x + dx;
+        const y = tile.y + dy;
+        // a corridor in the notch of an L-shape touches the room twice, only count it once
+        if (this.getTileAt(x, y)?.type === Dungeon.TileTypes.CORRIDOR && !found.has(`${x},${y}`)) {
+          found.add(`${x},${y}`);
+          doorways.push({ x, y, side });
         }
-        else {
-          path.push({ x: i - 1, y: endY });
+      }
+    }
+    return doorways;
+  }
+
+  /**
+   * Creates the initial enemy spawn list
+   * Monster houses are filled by density, other enemies are scattered across the remaining rooms.
+   * Nothing spawns within enemySafeRadius steps of the entry
+   * @private
+   * @returns {void}
+   */
+  #placeEnemies() {
+    const { entry } = this.specialPoints;
+    const distances = entry ? this.distanceMap(entry) : null;
+    const occupied = new Set();
+    // gets the tiles in a room an enemy could spawn on
+    const spawnTiles = (room) => {
+      const tiles = [];
+      for (const { x, y } of room.tiles) {
+        const safe = !distances || (distances[x][y] > this.enemySafeRadius && Number.isFinite(distances[x][y]));
+        if (this.getTileAt(x, y).type === Dungeon.TileTypes.FLOOR && this.isWalkable(x, y) && safe && !occupied.has(`${x},${y}`)) {
+          tiles.push({ x, y });
         }
       }
-      return path;
+      return tiles;
+    };
+    const addSpawn = (tile, roomIndex, spawnTable, monsterHouse) => {
+      occupied.add(`${tile.x},${tile.y}`);
+      this.enemySpawns.push({ x: tile.x, y: tile.y, spawnTable, room: roomIndex, monsterHouse });
+    };
+
+    const regularRooms = [];
+    this.roomList.forEach((room, roomIndex) => {
+      if (room.metadata?.kind !== Dungeon.SpecialRoomKinds.MONSTER_HOUSE) {
+        regularRooms.push(roomIndex);
+        return;
+      }
+      const tiles = spawnTiles(room);
+      const count = Math.round((tiles.length * this.monsterHouseDensity) / 100);
+      for (let i = 0; i < count; i++) {
+        const tile = tiles.splice(this.randomInt(0, tiles.length - 1), 1)[0];
+        addSpawn(tile, roomIndex, room.metadata.spawnTable, true);
+      }
+    });
+
+    let remaining = this.randomInt(this.enemyCountMin, this.enemyCountMax);
+    while (remaining > 0 && regularRooms.length > 0) {
+      const listIndex = this.randomInt(0, regularRooms.length - 1);
+      const roomIndex = regularRooms[listIndex];
+      const tiles = spawnTiles(this.roomList[roomIndex]);
+      if (tiles.length === 0) {
+        // nothing left in this room, stop picking it
+        regularRooms.splice(listIndex, 1);
+        continue;
+      }
+      addSpawn(tiles[this.randomInt(0, tiles.length - 1)], roomIndex, this.enemySpawnTable, false);
+      remaining--;
     }
-    else {
-      // for the first half of the path, we move in the y direction
-      for (let i = 0; i < Math.abs(yDiff) / 2; i++) {
-        if (yDiff > 0) {
-          path.push({ x: startX, y: startY + i });
+  }
+
+  /**
+   * Places items, traps, Wonder Tiles and money from the spawn table into rooms
+   * Corridors, doorway tiles and the tiles around the stairs are kept clear
+   * @private
+   * @returns {void}
+   */
+  #placeContent() {
+    const floorCounts = new Map();
+    // visit rooms in a random order, so the floor limit doesn't always favour the first rooms
+    const roomOrder = this.roomList.map((room, index) => index);
+    for (let i = roomOrder.length - 1; i > 0; i--) {
+      const j = this.randomInt(0, i);
+      [roomOrder[i], roomOrder[j]] = [roomOrder[j], roomOrder[i]];
+    }
+    for (const roomIndex of roomOrder) {
+      if (this.contentList.length >= this.maxContentPerFloor) {
+        break;
+      }
+      const room = this.roomList[roomIndex];
+      const freeTiles = room.tiles.filter(({ x, y }) => this.#canHoldContent(x, y)).map(({ x, y }) => ({ x, y }));
+      const roomCounts = new Map();
+      const count = this.randomInt(0, this.maxContentPerRoom);
+      for (let i = 0; i < count && freeTiles.length > 0; i++) {
+        if (this.contentList.length >= this.maxContentPerFloor) {
+          break;
         }
-        else {
-          path.push({ x: startX, y: startY - i });
+        const available = this.spawnTable.filter((entry) =>
+          (entry.maxPerRoom === undefined || (roomCounts.get(entry) ?? 0) < entry.maxPerRoom) &&
+          (entry.maxPerFloor === undefined || (floorCounts.get(entry) ?? 0) < entry.maxPerFloor),
+        );
+        const entry = this.#pickWeighted(available);
+        if (!entry) {
+          break;
         }
+        const tile = freeTiles.splice(this.randomInt(0, freeTiles.length - 1), 1)[0];
+        this.tileMap.setMetadata(tile.x, tile.y, { content: { kind: entry.kind, id: entry.id } });
+        this.contentList.push({ x: tile.x, y: tile.y, kind: entry.kind, id: entry.id, room: roomIndex });
+        roomCounts.set(entry, (roomCounts.get(entry) ?? 0) + 1);
+        floorCounts.set(entry, (floorCounts.get(entry) ?? 0) + 1);
       }
-      // we then do all needed x movements (assuming we're not moving in a straight line)
-      if (xDiff !== 0) {
-        for (let i = 1; i <= Math.abs(xDiff); i++) {
-          // we're going to slightly cheat here and just use whatever was the last path entry to get the correct y value
-          if (xDiff > 0) {
-            path.push({ x: startX + i, y: path[path.length - 1].y });
-          }
-          else {
-            path.push({ x: startX - i, y: path[path.length - 1].y });
-          }
+    }
+  }
+
+  /**
+   * Checks if a room tile can hold content
+   * It can't be under liquid, next to a corridor, or within a tile of the entry or exit
+   * @private
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if content can be placed on the tile
+   */
+  #canHoldContent(x, y) {
+    const tile = this.getTileAt(x, y);
+    if (tile?.type !== Dungeon.TileTypes.FLOOR || tile.metadata?.content || !this.isWalkable(x, y)) {
+      return false;
+    }
+    for (const point of [this.specialPoints.entry, this.specialPoints.exit]) {
+      if (point && Math.abs(point.x - x) <= 1 && Math.abs(point.y - y) <= 1) {
+        return false;
+      }
+    }
+    const neighbours = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+    return neighbours.every(([nx, ny]) => this.getTileAt(nx, ny)?.type !== Dungeon.TileTypes.CORRIDOR);
+  }
+
+  /**
+   * Picks an entry from a list using each entry's weight
+   * @private
+   * @param {Array<{weight: number}>} entries - The weighted entries
+   * @returns {?Object} The chosen entry, or null if no entry has any weight
+   */
+  #pickWeighted(entries) {
+    const totalWeight = entries.reduce((total, entry) => total + Math.max(0, entry.weight), 0);
+    if (totalWeight <= 0) {
+      return null;
+    }
+    let roll = this.#rng.next() * totalWeight;
+    for (const entry of entries) {
+      roll -= Math.max(0, entry.weight);
+      if (roll < 0) {
+        return entry;
+      }
+    }
+    // floating point leftovers land on the last weighted entry
+    return entries.findLast((entry) => entry.weight > 0);
+  }
+
+  /**
+   * Picks a corridor style using the corridorStyles weights, from the styles that can join the two points
+   * @private
+   * @param {{x: number, y: number}} from - The start point
+   * @param {{x: number, y: number}} to - The end point
+   * @returns {string} The style (see Dungeon.CorridorStyles)
+   */
+  #pickCorridorStyle(from, to) {
+    const entries = Object.entries(this.corridorStyles)
+      .filter(([style]) => corridorStyleFits(style, from, to))
+      .map(([style, weight]) => ({ style, weight }));
+    const fallback = corridorStyleFits(CorridorStyles.STRAIGHT, from, to) ? CorridorStyles.STRAIGHT : CorridorStyles.Z_BEND;
+    return this.#pickWeighted(entries)?.style ?? fallback;
+  }
+
+  /**
+   * Generates a corridor between two points
+   * The corridor is routed in a style picked from corridorStyles. Unless corridorsThroughRooms is set, routes
+   * crossing a room other than the ones the points are in are swapped for the nearest route that doesn't,
+   * trying every bend position before searching the board for a way around
+   * @private
+   * @param {{x: number, y: number}} point1 - Starting point
+   * @param {{x: number, y: number}} point2 - Ending point
+   * @returns {Array<{x: number, y: number}>} Every tile of the corridor, from point1 to point2 (both included)
+   */
+  #getPath(point1, point2) {
+    const style = this.#pickCorridorStyle(point1, point2);
+    let preferred;
+    switch (style) {
+      case CorridorStyles.WINDING:
+        preferred = windingRoute(point1, point2, (min, max) => this.randomInt(min, max), this.tileMap);
+        break;
+      case CorridorStyles.L_BEND:
+        preferred = lBendRoutes(point1, point2)[this.randomInt(0, 1)];
+        break;
+      default:
+        // a straight corridor is a Z-bend between points in line, and the midpoint is where Z-bends cross by default
+        preferred = zBendRoutes(point1, point2)[0];
+    }
+    const path = routeTiles(preferred);
+    if (this.corridorsThroughRooms) {
+      return path;
+    }
+    const ownRooms = [this.tileMap.getRoom(point1.x, point1.y), this.tileMap.getRoom(point2.x, point2.y)];
+    const blocked = (x, y) =>
+      this.tileMap.getKind(x, y) === TileMap.Kinds.ROOM && !ownRooms.includes(this.tileMap.getRoom(x, y));
+    if (!path.some(({ x, y }) => blocked(x, y))) {
+      return path;
+    }
+    // every Z-bend on both axes, which includes both L-bends and the straight line
+    for (const route of [...zBendRoutes(point1, point2, true), ...zBendRoutes(point1, point2, false)]) {
+      const tiles = routeTiles(route);
+      if (!tiles.some(({ x, y }) => blocked(x, y))) {
+        return tiles;
+      }
+    }
+    const detour = this.#findCorridorDetour(point1, point2, blocked);
+    if (detour) {
+      return detour;
+    }
+    this.logger.debug(
+      DungeonLogger.Events.CORRIDOR_THROUGH_ROOM,
+      `No way around the rooms between ${point1.x},${point1.y} and ${point2.x},${point2.y}, carving through`,
+      { point1, point2 },
+    );
+    return path;
+  }
+
+  /**
+   * Finds the shortest orthogonal corridor between two points that stays off blocked tiles
+   * @private
+   * @param {{x: number, y: number}} from - The start point
+   * @param {{x: number, y: number}} to - The end point
+   * @param {function(number, number): boolean} blocked - Whether a corridor can't be carved on a tile
+   * @returns {?Array<{x: number, y: number}>} Every tile of the corridor, from start to end, or null if there's no way through
+   */
+  #findCorridorDetour(from, to, blocked) {
+    const { width, height } = this.tileMap;
+    const cameFrom = new Int32Array(width * height).fill(-1);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    const start = from.x * height + from.y;
+    const goal = to.x * height + to.y;
+    queue[tail++] = start;
+    cameFrom[start] = start;
+    while (head < tail) {
+      const index = queue[head++];
+      if (index === goal) {
+        const path = [];
+        for (let step = goal; step !== start; step = cameFrom[step]) {
+          path.push({ x: Math.floor(step / height), y: step % height });
         }
+        path.push({ x: from.x, y: from.y });
+        return path.reverse();
       }
-      // then we do the second half of the y movements
-      for (let i = path[path.length - 1].y; i < Math.abs(endY); i++) {
-        if (yDiff > 0) {
-          path.push({ x: endX, y: i + 1 });
+      const x = Math.floor(index / height);
+      const y = index - x * height;
+      // corridors stay off the board's edge
+      for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        const next = nx * height + ny;
+        if (nx < 1 || nx > width - 2 || ny < 1 || ny > height - 2 || cameFrom[next] !== -1) {
+          continue;
         }
-        else {
-          path.push({ x: endX, y: i - 1 });
+        if (next !== goal && blocked(nx, ny)) {
+          continue;
         }
+        cameFrom[next] = index;
+        queue[tail++] = next;
       }
-      // return the path
-      return path;
     }
+    return null;
   }
 
   /**
@@ -575,16 +1769,16 @@ class Dungeon {
    * @returns {Array<GridObj>} List of adjacent grid sections
    */
   #getAdjacentGrids(gridList, grid) {
-    // adjacent grids will have the same x or y value as the grid
+    // adjacent grids start where this grid ends, and overlap it along that edge
     const adjacentGrids = [];
     for (const selectedGrid of gridList) {
-      const sameX = selectedGrid.x === grid.x;
-      const sameY = selectedGrid.y === grid.y;
+      const overlapsX = selectedGrid.x < grid.x + grid.width && selectedGrid.x + selectedGrid.width > grid.x;
+      const overlapsY = selectedGrid.y < grid.y + grid.height && selectedGrid.y + selectedGrid.height > grid.y;
 
       const nextX = selectedGrid.x === grid.x + grid.width;
       const nextY = selectedGrid.y === grid.y + grid.height;
       // as all calcs are done both to the right and down for all grids, we don't need to check behind
-      if ((sameX && nextY) || (sameY && nextX)) {
+      if ((overlapsX && nextY) || (overlapsY && nextX)) {
         adjacentGrids.push(selectedGrid);
       }
     }
@@ -595,9 +1789,12 @@ class Dungeon {
    * Gets adjacent walkable tiles for a given point
    * @private
    * @param {{x: number, y: number}} point - The point to check around
+   * @param {Object} [options={}] - Adjacency options
+   * @param {boolean} [options.diagonal=true] - Whether diagonal tiles count as adjacent
+   * @param {boolean} [options.cutCorners=true] - Whether a diagonal step may pass a wall on either side
    * @returns {Array<{x: number, y: number}>} List of adjacent walkable tile positions
    */
-  #getAdjacentTiles(point) {
+  #getAdjacentTiles(point, { diagonal = true, cutCorners = true, movement = Dungeon.MovementTypes.WALK } = {}) {
     // get the point's x and y values
     const x = point.x;
     const y = point.y;
@@ -639,10 +1836,17 @@ class Dungeon {
           tileX--;
           break;
       }
-      // get the tile
-      const tile = this.board[tileX][tileY];
-      // if the tile isn't 0, it's a floor tile, so add it to the list
-      if (tile?.type !== 0) {
+      // even iterations are the diagonals
+      const isDiagonal = i % 2 === 0;
+      if (isDiagonal && !diagonal) {
+        continue;
+      }
+      // PMD rule: you can't cut a corner, so both orthogonal neighbours need to be walkable
+      if (isDiagonal && !cutCorners && (!this.isWalkable(tileX, y, movement) || !this.isWalkable(x, tileY, movement))) {
+        continue;
+      }
+      // if the tile isn't a wall (or off the board), it's a floor tile, so add it to the list
+      if (this.isWalkable(tileX, tileY, movement)) {
         const foundTile = { x: tileX, y: tileY };
         adjacentTiles.push(foundTile);
       }
@@ -656,139 +1860,963 @@ class Dungeon {
    * @returns {void}
    */
   #addRandomPaths() {
+    // the corridors stage adds loops itself when there's a target
+    if (this.loopCount !== null) {
+      return;
+    }
     // get a random number of paths to add
     const pathCount = this.randomInt(0, this.randomPathMax);
     // for each path, get a random start and end point, and add a path between them
     const pathableTiles = [];
-    // get a list of all tiles in the board that are 'p' (pathable)
-    for (let x = 0; x < this.board.length; x++) {
-      for (let y = 0; y < this.board[x].length; y++) {
-        if (this.board[x][y].type === 'P') {
+    // get a list of all tiles in the board that are corridors (pathable)
+    for (let x = 0; x < this.colCount; x++) {
+      for (let y = 0; y < this.rowCount; y++) {
+        if (this.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR) {
           pathableTiles.push({ x, y });
         }
       }
     }
+    // every connection can be lost on small grids, leaving nothing to branch from
+    if (pathableTiles.length === 0) {
+      return;
+    }
     for (let i = 0; i < pathCount; i++) {
       // pick a random start and end point
       const start = pathableTiles[this.randomInt(0, pathableTiles.length - 1)];
       const end = pathableTiles[this.randomInt(0, pathableTiles.length - 1)];
-      // as long as the start and end points don't share an x or y value, we can add a path between them
-      if (start.x === end.x || start.y === end.y) {
+      if (start === end) {
         continue;
       }
       // add a path between them
       const path = this.#getPath(start, end);
-      console.log(`Adding path from ${start.x},${start.y} to ${end.x},${end.y}`);
+      this.logger.debug(
+        DungeonLogger.Events.PATH_ADDED,
+        `Adding path from ${start.x},${start.y} to ${end.x},${end.y}`,
+        { start, end },
+      );
       // add the path to the board
       for (const point of path) {
-        if (this.board[point.x][point.y].type <= 0) {
-          this.board[point.x][point.y] = { type: 'P' };
+        if (this.tileMap.getKind(point.x, point.y) === TileMap.Kinds.WALL) {
+          this.tileMap.setTile(point.x, point.y, TileMap.Kinds.CORRIDOR);
         }
       }
     }
 
   }
 
+  /**
+   * Shapes the finished corridors: prunes dead ends, adds or fills in corridors until there are loopCount loops,
+   * then branches off deadEndCount dead ends, and records what it ended up with in corridorStats
+   * @private
+   * @returns {void}
+   */
+  #shapeCorridors() {
+    const prunedTiles = this.pruneDeadEnds ? this.#pruneDeadEndTiles() : 0;
+    if (this.loopCount !== null) {
+      this.#addLoops();
+      this.#removeLoops();
+    }
+    let deadEndsAdded = 0;
+    for (let i = 0; i < this.deadEndCount; i++) {
+      if (this.#addDeadEnd()) {
+        deadEndsAdded++;
+      }
+    }
+    this.corridorStats = { loops: this.getLoopCount(), deadEnds: this.getDeadEnds().length, prunedTiles };
+    const loopsMissed = this.loopCount !== null && this.corridorStats.loops !== this.loopCount;
+    if (loopsMissed || deadEndsAdded < this.deadEndCount) {
+      this.logger.warn(
+        DungeonLogger.Events.CORRIDOR_TARGETS_UNMET,
+        `Made ${this.corridorStats.loops} loops (target ${this.loopCount ?? 'none'}) and added ` +
+        `${deadEndsAdded} of ${this.deadEndCount} dead ends`,
+        { ...this.corridorStats, loopCount: this.loopCount, deadEndCount: this.deadEndCount, deadEndsAdded },
+      );
+    }
+  }
+
+  /**
+   * Cuts dead end corridors back, one tile at a time, until none are left
+   * Connections whose points are cut away are dropped from connectionList
+   * @private
+   * @returns {number} The number of corridor tiles removed
+   */
+  #pruneDeadEndTiles() {
+    let removed = 0;
+    let deadEnds = this.getDeadEnds();
+    while (deadEnds.length > 0) {
+      for (const { x, y } of deadEnds) {
+        this.tileMap.setTile(x, y, TileMap.Kinds.WALL);
+      }
+      removed += deadEnds.length;
+      // only the tiles next to the ones just removed can have become dead ends
+      deadEnds = deadEnds
+        .flatMap(({ x, y }) => [{ x: x - 1, y }, { x: x + 1, y }, { x, y: y - 1 }, { x, y: y + 1 }])
+        .filter(({ x, y }, index, tiles) =>
+          tiles.findIndex((tile) => tile.x === x && tile.y === y) === index &&
+          this.tileMap.contains(x, y) &&
+          this.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR &&
+          [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].filter(([nx, ny]) => this.isWalkable(nx, ny)).length === 1,
+        );
+    }
+    this.connectionList = this.connectionList.filter(({ point1, point2 }) =>
+      this.isWalkable(point1.x, point1.y) && this.isWalkable(point2.x, point2.y),
+    );
+    return removed;
+  }
+
+  /**
+   * Adds corridors between nearby rooms until the room graph has loopCount loops
+   * A corridor that would overshoot the target, or that adds no loop, is filled back in
+   * @private
+   * @returns {void}
+   */
+  #addLoops() {
+    if (this.roomList.length < 2) {
+      return;
+    }
+    const centre = (room) => ({ x: room.x + room.width / 2, y: room.y + room.height / 2 });
+    const distance = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    let loops = this.getLoopCount();
+    const maxTries = Math.max(0, this.loopCount - loops) * 10;
+    for (let tries = 0; tries < maxTries && loops < this.loopCount; tries++) {
+      // join a random room to one of its three nearest neighbours, from the facing tiles of each
+      const room = this.roomList[this.randomInt(0, this.roomList.length - 1)];
+      const nearest = this.roomList
+        .filter((other) => other !== room)
+        .sort((a, b) => distance(centre(a), centre(room)) - distance(centre(b), centre(room)))
+        .slice(0, 3);
+      const other = nearest[this.randomInt(0, nearest.length - 1)];
+      const facing = (from, to) => from.tiles
+        .filter(({ x, y }) => this.isWalkable(x, y))
+        .reduce((best, tile) => (!best || distance(tile, centre(to)) < distance(best, centre(to)) ? tile : best), null);
+      const start = facing(room, other);
+      const end = facing(other, room);
+      if (!start || !end) {
+        continue;
+      }
+      const carved = [];
+      for (const point of this.#getPath(start, end)) {
+        if (this.tileMap.getKind(point.x, point.y) === TileMap.Kinds.WALL) {
+          this.tileMap.setTile(point.x, point.y, TileMap.Kinds.CORRIDOR);
+          carved.push(point);
+        }
+      }
+      const newLoops = carved.length > 0 ? this.getLoopCount() : loops;
+      if (newLoops <= loops || newLoops > this.loopCount) {
+        for (const { x, y } of carved) {
+          this.tileMap.setTile(x, y, TileMap.Kinds.WALL);
+        }
+        continue;
+      }
+      loops = newLoops;
+      this.logger.debug(
+        DungeonLogger.Events.PATH_ADDED,
+        `Adding loop from ${start.x},${start.y} to ${end.x},${end.y}`,
+        { start, end, loops },
+      );
+    }
+  }
+
+  /**
+   * Fills in corridors that close loops until the room graph has no more than loopCount loops
+   * A corridor or junction of the room graph is only filled in if every walkable area and connection stays
+   * joined without it
+   * @private
+   * @returns {void}
+   */
+  #removeLoops() {
+    let loops = this.getLoopCount();
+    if (loops <= this.loopCount) {
+      return;
+    }
+    const areas = this.#countWalkableAreas();
+    const disconnected = this.getDisconnectedConnections().length;
+    // corridors, and the junctions where they meet, are filled in whole. connection points left by a lost room
+    // are corridor floor of another kind, and have to stay
+    const { nodes, edges } = this.getRoomGraph();
+    const candidates = [...edges, ...nodes.filter(({ kind }) => kind === 'junction')]
+      .filter(({ tiles }) => tiles.length > 0 && tiles.every(({ x, y }) => this.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR));
+    while (loops > this.loopCount && candidates.length > 0) {
+      const { tiles } = candidates.splice(this.randomInt(0, candidates.length - 1), 1)[0];
+      for (const { x, y } of tiles) {
+        this.tileMap.setTile(x, y, TileMap.Kinds.WALL);
+      }
+      const newLoops = this.getLoopCount();
+      if (newLoops >= loops || newLoops < this.loopCount || this.#countWalkableAreas() !== areas ||
+        this.getDisconnectedConnections().length !== disconnected) {
+        for (const { x, y } of tiles) {
+          this.tileMap.setTile(x, y, TileMap.Kinds.CORRIDOR);
+        }
+        continue;
+      }
+      loops = newLoops;
+      this.logger.debug(
+        DungeonLogger.Events.PATH_REMOVED,
+        `Filling in a corridor of ${tiles.length} tiles from ${tiles[0].x},${tiles[0].y}`,
+        { tiles, loops },
+      );
+    }
+  }
+
+  /**
+   * Counts the separate walkable areas of the board
+   * Steps diagonally too, the way validation floods the board
+   * @private
+   * @returns {number} The number of areas
+   */
+  #countWalkableAreas() {
+    const { width, height } = this.tileMap;
+    const reached = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let areas = 0;
+    for (let start = 0; start < width * height; start++) {
+      if (reached[start] || !this.isWalkable(Math.floor(start / height), start % height)) {
+        continue;
+      }
+      areas++;
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+      reached[start] = 1;
+      while (head < tail) {
+        const index = queue[head++];
+        const x = Math.floor(index / height);
+        const y = index - x * height;
+        for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+          for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+            const next = nx * height + ny;
+            if (!reached[next] && this.isWalkable(nx, ny)) {
+              reached[next] = 1;
+              queue[tail++] = next;
+            }
+          }
+        }
+      }
+    }
+    return areas;
+  }
+
+  /**
+   * Branches a straight dead end corridor off an existing corridor
+   * The dead end only runs through solid wall, so it can't touch anything else and close a loop
+   * @private
+   * @returns {boolean} True if a dead end was added
+   */
+  #addDeadEnd() {
+    const corridors = [];
+    for (let x = 0; x < this.colCount; x++) {
+      for (let y = 0; y < this.rowCount; y++) {
+        if (this.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR) {
+          corridors.push({ x, y });
+        }
+      }
+    }
+    if (corridors.length === 0) {
+      return false;
+    }
+    const isSolid = (x, y) => x > 0 && x < this.colCount - 1 && y > 0 && y < this.rowCount - 1 &&
+      this.tileMap.getKind(x, y) === TileMap.Kinds.WALL;
+    for (let tries = 0; tries < 50; tries++) {
+      const start = corridors[this.randomInt(0, corridors.length - 1)];
+      const [dx, dy] = [[1, 0], [-1, 0], [0, 1], [0, -1]][this.randomInt(0, 3)];
+      const length = this.randomInt(this.deadEndLengthMin, this.deadEndLengthMax);
+      const tiles = [];
+      // each tile needs wall ahead and to both sides, so the dead end stays one tile wide and touches nothing
+      for (let step = 1; step <= length; step++) {
+        const x = start.x + dx * step;
+        const y = start.y + dy * step;
+        if (!isSolid(x, y) || !isSolid(x + dx, y + dy) || !isSolid(x + dy, y + dx) || !isSolid(x - dy, y - dx)) {
+          break;
+        }
+        tiles.push({ x, y });
+      }
+      if (tiles.length < this.deadEndLengthMin) {
+        continue;
+      }
+      for (const { x, y } of tiles) {
+        this.tileMap.setTile(x, y, TileMap.Kinds.CORRIDOR);
+      }
+      this.logger.debug(
+        DungeonLogger.Events.PATH_ADDED,
+        `Adding a dead end of ${tiles.length} tiles from ${start.x},${start.y}`,
+        { start, tiles },
+      );
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Validates that the dungeon is fully connected and meets room count requirements
    * @private
    * @returns {boolean} True if dungeon is valid, false otherwise
    */
   #validateDungeon() {
-    // pick a random starting point, and from there, recursively check all adjacent floor tiles until all have been checked.
-    // then compare the count of checked tiles to the count of floor tiles. if they match, the dungeon is valid, and all areas are accessible
+    // first, every connection needs a walkable way between its two points
+    const disconnected = this.getDisconnectedConnections();
+    if (disconnected.length > 0) {
+      this.#recordFailure(
+        DungeonLogger.Events.VALIDATION_FAILED,
+        'connections',
+        `invalid dungeon, ${disconnected.length} connections aren't joined on the board`,
+        { connections: disconnected },
+      );
+      return false;
+    }
+    // then flood the board from a connection point, and compare the number of tiles reached to the number of
+    // walkable tiles. if they match, the dungeon is valid, and all areas are accessible
     // if they don't match, the dungeon is invalid, and we need to start over
-    let valid = false;
-    const checkedTiles = new Set();
-    const uncheckedTiles = [];
-    // get the first floor tile (pick a point tile at random)
-    const firstTile = this.pointList[this.randomInt(0, this.pointList.length - 1)];
-    // add the first tile to the checked tiles
-    console.log(firstTile);
-    uncheckedTiles.push(firstTile);
-    while (uncheckedTiles.length > 0) {
-      for (const tile of uncheckedTiles) {
-        // get the adjacent tiles
-        const adjacentTiles = this.#getAdjacentTiles(tile);
-        // add the current tile to the checked tiles (turn x and y into a string, and use that for the set)
-        checkedTiles.add(`${tile.x},${tile.y}`);
-        // remove the current tile from the unchecked tiles
-        uncheckedTiles.splice(uncheckedTiles.indexOf(tile), 1);
-        // add all adjacent tiles to the unchecked tiles, under the condition that they haven't already been checked
-        for (const adjacentTile of adjacentTiles) {
-          if (!checkedTiles.has(`${adjacentTile.x},${adjacentTile.y}`)) {
-            uncheckedTiles.push(adjacentTile);
+    const { width, height } = this.tileMap;
+    const walkable = new Uint8Array(width * height);
+    let floorTileCount = 0;
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) {
+        // terrain that walkers can't cross doesn't need to be reached
+        if (this.isWalkable(x, y)) {
+          walkable[x * height + y] = 1;
+          floorTileCount++;
+        }
+      }
+    }
+    // tiles are marked as reached when they're queued, so each one is queued at most once
+    const reached = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    // start from a connection point picked at random, pruning can leave some points in the wall
+    const starts = this.pointList.filter((point) => walkable[point.x * height + point.y]);
+    if (starts.length === 0) {
+      this.#recordFailure(
+        DungeonLogger.Events.VALIDATION_FAILED,
+        'connectivity',
+        'invalid dungeon, no connection point is walkable',
+        { reachable: 0, floorTiles: floorTileCount },
+      );
+      return false;
+    }
+    const firstTile = starts[this.randomInt(0, starts.length - 1)];
+    queue[tail++] = firstTile.x * height + firstTile.y;
+    reached[queue[0]] = 1;
+    while (head < tail) {
+      const index = queue[head++];
+      const x = Math.floor(index / height);
+      const y = index - x * height;
+      // all 8 neighbours, corners can be cut here as only reachability matters
+      for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+        for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+          const next = nx * height + ny;
+          if (walkable[next] && !reached[next]) {
+            reached[next] = 1;
+            queue[tail++] = next;
           }
         }
       }
     }
-    // get the raw count of floor tiles, from the board
-    const floorTileCount = this.board.flat().filter(tile => tile.type !== 0).length;
-    // if the count of checked tiles matches the count of floor tiles, the dungeon is valid
 
-    if (checkedTiles.size === floorTileCount) {
-      valid = true;
-    }
-    else {
-      console.log('invalid dungeon, not all areas are accessible');
-      valid = false;
-      return valid;
+    if (tail !== floorTileCount) {
+      this.#recordFailure(
+        DungeonLogger.Events.VALIDATION_FAILED,
+        'connectivity',
+        'invalid dungeon, not all areas are accessible',
+        { reachable: tail, floorTiles: floorTileCount },
+      );
+      return false;
     }
-    // next, make sure our roomcount is over half of the total grid count
-    const gridCount = this.gridList.length;
+    // next, make sure our roomcount is over half of the total grid count (or the room count, for layouts without a grid)
+    // and that there are at least two rooms for the stairs
+    const gridCount = this.gridList.length || this.roomCount;
     const roomCount = this.roomList.length;
-    if (roomCount < gridCount / 2) {
-      console.log('invalid dungeon, not enough rooms');
-      valid = false;
-      return valid;
+    if (roomCount < 2 || roomCount < gridCount / 2) {
+      this.#recordFailure(
+        DungeonLogger.Events.VALIDATION_FAILED,
+        'roomCount',
+        'invalid dungeon, not enough rooms',
+        { roomCount, gridCount },
+      );
+      return false;
     }
 
-    return valid;
+    return true;
   }
 
   /**
    * Gets the tile type at the specified coordinates
+   * Tiles holding content (items, traps, etc) carry it in `metadata.content`,
+   * and doorway corridor tiles carry the rooms they lead into in `metadata.doorway`
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @returns {?{type: string}} Tile type object or null if out of bounds
+   * @returns {?TileType} Tile type object or null if out of bounds
    */
   getTileAt(x, y) {
-    if (x < 0 || x >= this.colCount || y < 0 || y >= this.rowCount) {
+    if (!this.tileMap.contains(x, y)) {
       return null;
     }
-    const tile = this.board[x][y];
-    if (tile.type === 0) {
-      return { type: Dungeon.TileTypes.WALL };
+    const result = { type: Dungeon.#tileTypesByKind[this.tileMap.getKind(x, y)] };
+    const terrain = this.tileMap.getTerrain(x, y);
+    if (terrain) {
+      result.terrain = terrain;
     }
-    else if (tile.type === 'P') {
-      return { type: Dungeon.TileTypes.CORRIDOR };
-    }
-    else if (tile.type === Dungeon.TileTypes.ENTRY || tile.type === Dungeon.TileTypes.EXIT) {
-      return { type: tile.type };
-    }
-    else {
-      return { type: Dungeon.TileTypes.FLOOR };
+    const metadata = this.tileMap.getMetadata(x, y);
+    if (metadata) {
+      result.metadata = metadata;
     }
+    return result;
   }
 
   /**
    * Checks if a position is walkable
+   * Walls block everyone, terrain only lets through the movement types listed in Dungeon.TERRAIN_MOVEMENT
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
+   * @param {string} [movement='walk'] - How the unit moves (see Dungeon.MovementTypes)
    * @returns {boolean} True if the position is walkable
    */
-  isWalkable(x, y) {
-    const tile = this.getTileAt(x, y);
-    return tile && tile.type !== Dungeon.TileTypes.WALL;
+  isWalkable(x, y, movement = Dungeon.MovementTypes.WALK) {
+    const { tileMap } = this;
+    if (!tileMap.contains(x, y)) {
+      return false;
+    }
+    const index = tileMap.index(x, y);
+    if (tileMap.kinds[index] === TileMap.Kinds.WALL) {
+      return false;
+    }
+    if (tileMap.terrain[index] === 0) {
+      return true;
+    }
+    const terrain = tileMap.getTerrainName(tileMap.terrain[index]);
+    const movements = Dungeon.TERRAIN_MOVEMENT[terrain];
+    if (!movements) {
+      throw new Error(`Unknown terrain: ${terrain}`);
+    }
+    return movements.includes(movement);
   }
 
   /**
-   * Gets the current random seed
-   * @returns {number} The current seed value
+   * Finds the cheapest walkable path between two tiles using A*
+   * Diagonal steps follow the PMD rule and never cut past a wall corner
+   * @param {{x: number, y: number}} from - The starting tile
+   * @param {{x: number, y: number}} to - The target tile
+   * @param {PathOptions} [options={}] - Pathfinding options
+   * @returns {?Array<{x: number, y: number}>} The tiles from start to target (inclusive), or null if there's no path
+   */
+  findPath(from, to, { diagonal = true, costFn = null, movement = Dungeon.MovementTypes.WALK } = {}) {
+    if (!this.isWalkable(from.x, from.y, movement) || !this.isWalkable(to.x, to.y, movement)) {
+      return null;
+    }
+    const key = (x, y) => x * this.rowCount + y;
+    // chebyshev distance when moving diagonally, manhattan otherwise
+    const heuristic = (x, y) => {
+      const dx = Math.abs(x - to.x);
+      const dy = Math.abs(y - to.y);
+      return diagonal ? Math.max(dx, dy) : dx + dy;
+    };
+    const costs = new Map([[key(from.x, from.y), 0]]);
+    const cameFrom = new Map();
+    const openTiles = new MinHeap();
+    openTiles.push({ x: from.x, y: from.y }, heuristic(from.x, from.y));
+    const closed = new Set();
+
+    while (openTiles.size > 0) {
+      const current = openTiles.pop();
+      const currentKey = key(current.x, current.y);
+      if (closed.has(currentKey)) {
+        continue;
+      }
+      if (current.x === to.x && current.y === to.y) {
+        // walk back through cameFrom to build the path
+        const path = [current];
+        let previous = cameFrom.get(currentKey);
+        while (previous) {
+          path.unshift(previous);
+          previous = cameFrom.get(key(previous.x, previous.y));
+        }
+        return path;
+      }
+      closed.add(currentKey);
+      for (const next of this.#getAdjacentTiles(current, { diagonal, cutCorners: false, movement })) {
+        const nextKey = key(next.x, next.y);
+        if (closed.has(nextKey)) {
+          continue;
+        }
+        const stepCost = costFn ? costFn(next, current) : 1;
+        if (!Number.isFinite(stepCost)) {
+          continue;
+        }
+        const cost = costs.get(currentKey) + stepCost;
+        if (cost < (costs.get(nextKey) ?? Infinity)) {
+          costs.set(nextKey, cost);
+          cameFrom.set(nextKey, current);
+          openTiles.push(next, cost + heuristic(next.x, next.y));
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Floods the board from a tile with Dijkstra's algorithm, giving the walking cost to every tile
+   * Uses the same movement rules as findPath
+   * @param {{x: number, y: number}} from - The tile to measure from
+   * @param {PathOptions} [options={}] - Pathfinding options
+   * @returns {number[][]} Costs indexed as [x][y], Infinity for walls and unreachable tiles
+   */
+  distanceMap(from, { diagonal = true, costFn = null, movement = Dungeon.MovementTypes.WALK } = {}) {
+    const distances = [...Array(this.colCount)].map(() => Array(this.rowCount).fill(Infinity));
+    if (!this.isWalkable(from.x, from.y, movement)) {
+      return distances;
+    }
+    distances[from.x][from.y] = 0;
+    const openTiles = new MinHeap();
+    openTiles.push({ x: from.x, y: from.y, cost: 0 }, 0);
+
+    while (openTiles.size > 0) {
+      const current = openTiles.pop();
+      const currentCost = distances[current.x][current.y];
+      // a tile is pushed again each time a cheaper way to it is found, so skip the stale entries
+      if (current.cost > currentCost) {
+        continue;
+      }
+      for (const next of this.#getAdjacentTiles(current, { diagonal, cutCorners: false, movement })) {
+        const stepCost = costFn ? costFn(next, current) : 1;
+        if (!Number.isFinite(stepCost)) {
+          continue;
+        }
+        const cost = currentCost + stepCost;
+        if (cost < distances[next.x][next.y]) {
+          distances[next.x][next.y] = cost;
+          openTiles.push({ x: next.x, y: next.y, cost }, cost);
+        }
+      }
+    }
+    return distances;
+  }
+
+  /**
+   * Finds the dead ends of the corridors, the corridor tiles with only one walkable neighbour
+   * Only orthogonal neighbours count, so a corridor that turns a corner isn't a dead end
+   * @returns {Array<{x: number, y: number}>} The last tile of every dead end corridor
+   */
+  getDeadEnds() {
+    const deadEnds = [];
+    for (let x = 0; x < this.colCount; x++) {
+      for (let y = 0; y < this.rowCount; y++) {
+        if (this.tileMap.getKind(x, y) !== TileMap.Kinds.CORRIDOR) {
+          continue;
+        }
+        const exits = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]
+          .filter(([nx, ny]) => this.isWalkable(nx, ny)).length;
+        if (exits === 1) {
+          deadEnds.push({ x, y });
+        }
+      }
+    }
+    return deadEnds;
+  }
+
+  /**
+   * Counts the loops in the room graph: the corridors that could be removed without splitting any part of it
+   * (edges - nodes + connected parts of getRoomGraph()). A junction opening straight into a single room counts as
+   * part of that room, and corridors joining the same two nodes count once, so corridors hugging a room's wall
+   * don't make loops through it
+   * @returns {number} The number of loops
+   */
+  getLoopCount() {
+    const { nodes, edges } = this.getRoomGraph();
+    const places = this.#graphPlaces(nodes);
+    const links = new Set();
+    for (const edge of edges) {
+      const from = places.get(edge.from);
+      const to = places.get(edge.to);
+      if (from !== to) {
+        links.add([from, to].sort().join('|'));
+      }
+    }
+
+    // union find over the places, to count the connected parts
+    const ids = new Set(places.values());
+    const parents = new Map([...ids].map((id) => [id, id]));
+    const find = (id) => {
+      while (parents.get(id) !== id) {
+        parents.set(id, parents.get(parents.get(id)));
+        id = parents.get(id);
+      }
+      return id;
+    };
+    let parts = ids.size;
+    for (const link of links) {
+      const [from, to] = link.split('|').map(find);
+      if (from !== to) {
+        parents.set(from, to);
+        parts--;
+      }
+    }
+    return links.size - ids.size + parts;
+  }
+
+  /**
+   * Maps each node of the room graph to the place it stands for
+   * A junction opening straight into a single room is part of that room, every other node is its own place
+   * @private
+   * @param {GraphNode[]} nodes - The nodes of getRoomGraph()
+   * @returns {Map<string, string>} Place ids keyed by node id
+   */
+  #graphPlaces(nodes) {
+    const roomIndex = this.#buildRoomIndex();
+    const places = new Map(nodes.map((node) => [node.id, node.id]));
+    for (const node of nodes.filter((n) => n.kind === 'junction')) {
+      const rooms = new Set();
+      for (const { x, y } of node.tiles) {
+        for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+          if (this.isWalkable(nx, ny) && roomIndex[nx * this.rowCount + ny] !== -1) {
+            rooms.add(roomIndex[nx * this.rowCount + ny]);
+          }
+        }
+      }
+      if (rooms.size === 1) {
+        places.set(node.id, `room-${[...rooms][0]}`);
+      }
+    }
+    return places;
+  }
+
+  /**
+   * Gets the connections whose two points can't be walked between
+   * Walkers step orthogonally, the way corridors are carved, so an empty list means every connection in
+   * connectionList is really joined on the board
+   * @returns {Array<{point1: PointObj, point2: PointObj}>} The connections that aren't joined
+   */
+  getDisconnectedConnections() {
+    const { width, height } = this.tileMap;
+    // label each walkable area, then a connection is joined if both its points are in the same one
+    const areas = new Int32Array(width * height);
+    const queue = new Int32Array(width * height);
+    let areaCount = 0;
+    const areaAt = (point) => {
+      if (!this.isWalkable(point.x, point.y)) {
+        return 0;
+      }
+      const start = point.x * height + point.y;
+      if (areas[start] === 0) {
+        areaCount++;
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        areas[start] = areaCount;
+        while (head < tail) {
+          const index = queue[head++];
+          const x = Math.floor(index / height);
+          const y = index - x * height;
+          for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+            const next = nx * height + ny;
+            if (this.isWalkable(nx, ny) && areas[next] === 0) {
+              areas[next] = areaCount;
+              queue[tail++] = next;
+            }
+          }
+        }
+      }
+      return areas[start];
+    };
+    return this.connectionList.filter((connection) => {
+      const area = areaAt(connection.point1);
+      return area === 0 || area !== areaAt(connection.point2);
+    });
+  }
+
+  /**
+   * Builds the connectivity graph of the finished board
+   * Nodes are rooms and corridor junctions (corridor tiles where three or more corridors meet, and corridors
+   * meeting three or more rooms and junctions),
+   * edges are the corridors running between them, one per corridor, so two nodes can be joined by several edges
+   * @returns {{nodes: GraphNode[], edges: GraphEdge[]}} The room graph
+   */
+  getRoomGraph() {
+    const key = (x, y) => x * this.rowCount + y;
+    const roomIndex = this.#buildRoomIndex();
+    const isCorridor = (x, y) => this.isWalkable(x, y) && roomIndex[key(x, y)] === -1;
+    const neighbours = (x, y) => [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+
+    const nodes = this.roomList.map((room, index) => ({
+      id: `room-${index}`,
+      kind: 'room',
+      room: index,
+      x: room.x + (room.width - 1) / 2,
+      y: room.y + (room.height - 1) / 2,
+      tiles: [],
+    }));
+
+    // flood fills connected corridor tiles that pass a filter, labelling them in `labels`
+    const labels = new Map();
+    const floodCorridor = (startX, startY, label, filter) => {
+      const tiles = [];
+      const queue = [[startX, startY]];
+      labels.set(key(startX, startY), label);
+      while (queue.length > 0) {
+        const [x, y] = queue.pop();
+        tiles.push({ x, y });
+        for (const [nx, ny] of neighbours(x, y)) {
+          if (isCorridor(nx, ny) && filter(nx, ny) && !labels.has(key(nx, ny))) {
+            labels.set(key(nx, ny), label);
+            queue.push([nx, ny]);
+          }
+        }
+      }
+      return tiles;
+    };
+
+    // junctions are corridor tiles with three or more corridor neighbours, touching junction tiles form one node
+    const isJunction = (x, y) => isCorridor(x, y) &&
+      neighbours(x, y).filter(([nx, ny]) => isCorridor(nx, ny)).length >= 3;
+    for (let x = 0; x < this.colCount; x++) {
+      for (let y = 0; y < this.rowCount; y++) {
+        if (isJunction(x, y) && !labels.has(key(x, y))) {
+          const id = `junction-${nodes.length - this.roomList.length}`;
+          const tiles = floodCorridor(x, y, id, isJunction);
+          nodes.push({
+            id,
+            kind: 'junction',
+            room: null,
+            x: tiles.reduce((total, tile) => total + tile.x, 0) / tiles.length,
+            y: tiles.reduce((total, tile) => total + tile.y, 0) / tiles.length,
+            tiles,
+          });
+        }
+      }
+    }
+
+    const edges = [];
+    const addEdge = (from, to, tiles, doorways) => {
+      edges.push({ from, to, length: tiles.length, tiles, doorways });
+    };
+    // junctions that open straight into a room
+    for (const node of nodes.filter((n) => n.kind === 'junction')) {
+      const touched = new Map();
+      for (const tile of node.tiles) {
+        for (const [nx, ny] of neighbours(tile.x, tile.y)) {
+          const room = this.isWalkable(nx, ny) ? roomIndex[key(nx, ny)] : -1;
+          if (room !== -1 && !touched.has(room)) {
+            touched.set(room, { x: tile.x, y: tile.y, room });
+          }
+        }
+      }
+      for (const [room, doorway] of touched) {
+        addEdge(node.id, `room-${room}`, [], [doorway]);
+      }
+    }
+
+    // the remaining corridor tiles form segments, each one an edge between the two nodes it touches
+    for (let x = 0; x < this.colCount; x++) {
+      for (let y = 0; y < this.rowCount; y++) {
+        if (!isCorridor(x, y) || labels.has(key(x, y))) {
+          continue;
+        }
+        const tiles = floodCorridor(x, y, 'segment', (nx, ny) => !isJunction(nx, ny));
+        const touched = new Set();
+        const doorways = [];
+        for (const tile of tiles) {
+          for (const [nx, ny] of neighbours(tile.x, tile.y)) {
+            if (!this.isWalkable(nx, ny)) {
+              continue;
+            }
+            const room = roomIndex[key(nx, ny)];
+            if (room !== -1) {
+              touched.add(`room-${room}`);
+              doorways.push({ x: tile.x, y: tile.y, room });
+            }
+            else if (labels.get(key(nx, ny)) !== 'segment') {
+              touched.add(labels.get(key(nx, ny)));
+            }
+          }
+        }
+        // segments are labelled 'segment' while flooding, give this one its own label
+        for (const tile of tiles) {
+          labels.set(key(tile.x, tile.y), `segment-${x}-${y}`);
+        }
+        if (touched.size === 2) {
+          const [from, to] = touched;
+          addEdge(from, to, tiles, doorways);
+        }
+        else if (touched.size > 2) {
+          // a segment meeting three or more nodes, such as a corridor running past a room between two others,
+          // is a junction itself. linking every pair of those nodes would make up loops that aren't there
+          const id = `junction-${nodes.length - this.roomList.length}`;
+          nodes.push({
+            id,
+            kind: 'junction',
+            room: null,
+            x: tiles.reduce((total, tile) => total + tile.x, 0) / tiles.length,
+            y: tiles.reduce((total, tile) => total + tile.y, 0) / tiles.length,
+            tiles,
+          });
+          for (const other of touched) {
+            addEdge(id, other, [], doorways.filter((doorway) => `room-${doorway.room}` === other));
+          }
+        }
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Builds a lookup from board position to the index of the room covering it
+   * @private
+   * @returns {Int32Array} Room indexes keyed by `x * rowCount + y`, -1 where there's no room
+   */
+  #buildRoomIndex() {
+    const roomIndex = new Int32Array(this.colCount * this.rowCount).fill(-1);
+    this.roomList.forEach((room, index) => {
+      for (const { x, y } of room.tiles) {
+        roomIndex[x * this.rowCount + y] = index;
+      }
+    });
+    return roomIndex;
+  }
+
+  /**
+   * Gets the room whose floor covers a position
+   * Uses each room's exact tiles, so tiles inside a shaped room's bounds but outside its floor don't count
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {?RoomObj} The room, or null if the position isn't on a room's floor
+   */
+  getRoomAt(x, y) {
+    return this.roomList.find((room) => room.tiles.some((tile) => tile.x === x && tile.y === y)) ?? null;
+  }
+
+  /**
+   * Gets the checks that failed during the latest generation attempt
+   * Room placement failures can be listed even when the dungeon is valid, as a lost room doesn't fail validation
+   * @returns {CheckFailure[]} The failed checks
+   */
+  getFailures() {
+    return [...this.#failures];
+  }
+
+  /**
+   * Records a failed check of the current generation attempt, and logs it
+   * @private
+   * @param {string} event - The log event (see DungeonLogger.Events)
+   * @param {string} check - The name of the check
+   * @param {string} message - A human readable description of the failure
+   * @param {Object} [data={}] - Extra data about the failure
+   * @returns {void}
+   */
+  #recordFailure(event, check, message, data = {}) {
+    this.#failures.push({ check, message, data });
+    this.logger.warn(event, message, { check, ...data });
+  }
+
+  /**
+   * Gets the seed the dungeon was created from
+   * @returns {number|string} The original seed value
    */
   getSeed() {
     return this.#seed;
   }
+
+  /**
+   * Gets the current state of the random number generator, so it can be saved and resumed later
+   * @returns {number} The current generator state
+   */
+  getRngState() {
+    return this.#rng.state;
+  }
+
+  /**
+   * Restores a generator state previously returned by getRngState
+   * @param {number} state - The generator state to restore
+   * @returns {void}
+   */
+  setRngState(state) {
+    if (!Number.isInteger(state)) {
+      throw new TypeError(`Invalid RNG state: ${state}`);
+    }
+    this.#rng.state = state;
+  }
+
+  /**
+   * Serializes the generated dungeon, so it can be saved or sent without re-running generation
+   * @returns {DungeonJSON} A plain object that can be passed to JSON.stringify
+   */
+  toJSON() {
+    // a JSON round trip, rather than structuredClone, drops functions such as room type metadata builders
+    return JSON.parse(JSON.stringify({
+      version: Dungeon.FORMAT_VERSION,
+      seed: this.#seed,
+      rngState: this.getRngState(),
+      options: { ...this.#options, seed: this.#seed },
+      rowCount: this.rowCount,
+      colCount: this.colCount,
+      roomCount: this.roomCount,
+      validDungeon: this.validDungeon,
+      tileMap: this.tileMap,
+      gridList: this.gridList,
+      pointList: this.pointList,
+      // points are shared with pointList, so store them by index
+      connectionList: this.connectionList.map((connection) => ({
+        point1: this.pointList.indexOf(connection.point1),
+        point2: this.pointList.indexOf(connection.point2),
+      })),
+      roomList: this.roomList,
+      corridorStats: this.corridorStats,
+      specialPoints: this.specialPoints,
+      contentList: this.contentList,
+      enemySpawns: this.enemySpawns,
+    }));
+  }
+
+  /**
+   * Rebuilds a dungeon from the output of toJSON
+   * @param {DungeonJSON|string} json - The serialized dungeon, as an object or JSON string
+   * @param {{logger?: DungeonLogger}} [extraOptions={}] - Options that can't be serialized
+   * @returns {Dungeon} The restored dungeon
+   */
+  static fromJSON(json, extraOptions = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : structuredClone(json);
+    if (!Number.isInteger(data?.version)) {
+      throw new TypeError('Invalid dungeon data: missing format version');
+    }
+    if (data.version > Dungeon.FORMAT_VERSION) {
+      throw new RangeError(
+        `Dungeon format version ${data.version} is newer than the supported version ${Dungeon.FORMAT_VERSION}`,
+      );
+    }
+
+    let dungeon;
+    Dungeon.#restoring = true;
+    try {
+      dungeon = new Dungeon({ ...data.options, seed: data.seed, ...extraOptions });
+    }
+    finally {
+      Dungeon.#restoring = false;
+    }
+
+    dungeon.rowCount = data.rowCount;
+    dungeon.colCount = data.colCount;
+    dungeon.roomCount = data.roomCount;
+    dungeon.validDungeon = data.validDungeon;
+    // saves before version 3 hold the original array of columns of tile objects
+    dungeon.tileMap = data.version < 3 ? TileMap.fromLegacyBoard(data.board) : TileMap.fromJSON(data.tileMap);
+    dungeon.gridList = data.gridList;
+    dungeon.pointList = data.pointList;
+    dungeon.connectionList = data.connectionList.map((connection) => ({
+      point1: dungeon.pointList[connection.point1],
+      point2: dungeon.pointList[connection.point2],
+    }));
+    dungeon.roomList = data.roomList;
+    // version 1 rooms were all rectangles, and didn't list their floor tiles
+    for (const room of dungeon.roomList) {
+      room.shape ??= RoomShapes.RECT;
+      room.tiles ??= shapeTiles(RoomShapes.RECT, room);
+    }
+    dungeon.corridorStats = data.corridorStats ?? { loops: dungeon.getLoopCount(), deadEnds: dungeon.getDeadEnds().length, prunedTiles: 0 };
+    dungeon.specialPoints = data.specialPoints;
+    dungeon.contentList = data.contentList ?? [];
+    dungeon.enemySpawns = data.enemySpawns ?? [];
+    dungeon.setRngState(data.rngState);
+    return dungeon;
+  }
 }
 
 export default Dungeon;
@@ -0,0 +1,203 @@
+import Dungeon from './dungeonGen.js';
+import SeededRandom from './random.js';
+
+/**
+ * @callback FloorSchedule
+ * @param {number} floorIndex - the index of the floor (0 is the first floor)
+ * @param {number} floorCount - the number of floors in the run
+ * @returns {DungeonOptions} options to apply on top of the base options for that floor
+ */
+
+/**
+ * @typedef {Object} DungeonRunOptions
+ * @property {number|string} [seed=null] - Seed for the whole run, each floor's seed is derived from it. A random seed is picked when omitted
+ * @property {number} [floorCount=5] - Number of floors in the run
+ * @property {DungeonOptions} [baseOptions={}] - Options shared by every floor
+ * @property {DungeonOptions[]|FloorSchedule} [schedule=[]] - Per-floor options. An array is indexed by floor, with its last entry repeating for deeper floors
+ * @property {DungeonLogger} [logger] - Logger passed to every floor
+ */
+
+/**
+ * @typedef {Object} FloorLink
+ * @property {{floor: number, x: number, y: number}} from - the exit of the upper floor
+ * @property {{floor: number, x: number, y: number}} to - the entry of the floor below it
+ */
+
+class DungeonRun {
+  #seed = null;
+  #floors = [];
+
+  /**
+   * Creates a new run of linked floors
+   * @param {DungeonRunOptions} [options={}] - Configuration options for the run
+   */
+  constructor(options = {}) {
+    this.#seed = options.seed ?? Math.floor(Math.random() * 4294967296);
+    this.floorCount = Math.max(1, options.floorCount ?? 5);
+    this.baseOptions = options.baseOptions ?? {};
+    this.schedule = options.schedule ?? [];
+    this.logger = options.logger ?? null;
+  }
+
+  /**
+   * Derives the seed of a floor from the run seed
+   * @param {number|string} runSeed - The seed of the run
+   * @param {number} floorIndex - The index of the floor
+   * @returns {number} The floor's seed
+   */
+  static deriveFloorSeed(runSeed, floorIndex) {
+    return SeededRandom.hashString(`${runSeed}:${floorIndex}`);
+  }
+
+  /**
+   * Builds a schedule that moves numeric options linearly from the first floor to the last
+   * @param {DungeonOptions} first - Options for the first floor
+   * @param {DungeonOptions} last - Options for the last floor, keys missing here keep their first floor value
+   * @returns {FloorSchedule} A schedule usable as the `schedule` option
+   */
+  static scaleOptions(first, last) {
+    return (floorIndex, floorCount) => {
+      const progress = floorCount > 1 ? floorIndex / (floorCount - 1) : 0;
+      const options = {};
+      for (const key of Object.keys(first)) {
+        const start = first[key];
+        const end = last[key] ?? start;
+        options[key] = typeof start === 'number' && typeof end === 'number'
+          ? Math.round(start + (end - start) * progress)
+          : start;
+      }
+      return options;
+    };
+  }
+
+  /**
+   * Gets the seed the run was created from
+   * @returns {number|string} The run seed
+   */
+  getSeed() {
+    return this.#seed;
+  }
+
+  /**
+   * Gets the options used to generate a floor
+   * @param {number} floorIndex - The index of the floor
+   * @returns {DungeonOptions} The merged options for the floor
+   */
+  getFloorOptions(floorIndex) {
+    this.#checkFloorIndex(floorIndex);
+    let scheduled = {};
+    if (typeof this.schedule === 'function') {
+      scheduled = this.schedule(floorIndex, this.floorCount) ?? {};
+    }
+    else if (this.schedule.length > 0) {
+      scheduled = this.schedule[Math.min(floorIndex, this.schedule.length - 1)];
+    }
+    const options = {
+      ...this.baseOptions,
+      ...scheduled,
+      seed: DungeonRun.deriveFloorSeed(this.#seed, floorIndex),
+    };
+    if (this.logger) {
+      options.logger = this.logger;
+    }
+    return options;
+  }
+
+  /**
+   * Gets a floor, generating it (and the floors either side, to link the stairs) on first access
+   * A neighbouring floor that can't be generated is left unlinked, and throws when it's asked for itself
+   * @param {number} floorIndex - The index of the floor
+   * @returns {Dungeon} The floor's dungeon
+   */
+  getFloor(floorIndex) {
+    this.#checkFloorIndex(floorIndex);
+    this.#generateFloor(floorIndex);
+    for (const neighbour of [floorIndex + 1, floorIndex - 1]) {
+      if (neighbour < 0 || neighbour >= this.floorCount) {
+        continue;
+      }
+      try {
+        this.#generateFloor(neighbour);
+      }
+      catch (error) {
+        if (!(error instanceof Dungeon.GenerationError) && !(error instanceof Dungeon.OptionsError)) {
+          throw error;
+        }
+      }
+    }
+    return this.#floors[floorIndex];
+  }
+
+  /**
+   * Gets the link from a floor's exit to the next floor's entry
+   * @param {number} floorIndex - The index of the upper floor
+   * @returns {?FloorLink} The link, or null for the last floor and floors missing their stairs
+   */
+  getLink(floorIndex) {
+    this.#checkFloorIndex(floorIndex);
+    if (floorIndex + 1 >= this.floorCount) {
+      return null;
+    }
+    const exit = this.getFloor(floorIndex).specialPoints.exit;
+    const entry = this.getFloor(floorIndex + 1).specialPoints.entry;
+    if (!exit || !entry) {
+      return null;
+    }
+    return {
+      from: { floor: floorIndex, x: exit.x, y: exit.y },
+      to: { floor: floorIndex + 1, x: entry.x, y: entry.y },
+    };
+  }
+
+  /**
+   * Generates a floor if it hasn't been generated yet, and links it to its neighbours
+   * @private
+   * @param {number} floorIndex - The index of the floor
+   * @returns {void}
+   */
+  #generateFloor(floorIndex) {
+    if (this.#floors[floorIndex]) {
+      return;
+    }
+    this.#floors[floorIndex] = new Dungeon(this.getFloorOptions(floorIndex));
+    this.#linkFloors(floorIndex - 1, floorIndex);
+    this.#linkFloors(floorIndex, floorIndex + 1);
+  }
+
+  /**
+   * Points the upper floor's exit at the lower floor's entry and back, once both exist
+   * A floor without stairs, where no room had space for them, is left unlinked
+   * @private
+   * @param {number} upperIndex - The index of the upper floor
+   * @param {number} lowerIndex - The index of the lower floor
+   * @returns {void}
+   */
+  #linkFloors(upperIndex, lowerIndex) {
+    const upper = this.#floors[upperIndex];
+    const lower = this.#floors[lowerIndex];
+    if (!upper || !lower) {
+      return;
+    }
+    const { exit } = upper.specialPoints;
+    const { entry } = lower.specialPoints;
+    if (!exit || !entry) {
+      return;
+    }
+    exit.link = { floor: lowerIndex, x: entry.x, y: entry.y };
+    entry.link = { floor: upperIndex, x: exit.x, y: exit.y };
+  }
+
+  /**
+   * Throws if a floor index is outside the run
+   * @private
+   * @param {number} floorIndex - The index to check
+   * @returns {void}
+   */
+  #checkFloorIndex(floorIndex) {
+    if (!Number.isInteger(floorIndex) || floorIndex < 0 || floorIndex >= this.floorCount) {
+      throw new RangeError(`Floor ${floorIndex} is outside this run of ${this.floorCount} floors`);
+    }
+  }
+}
+
+export default DungeonRun;
@@ -0,0 +1,51 @@
+/**
+ * @typedef {Object} OptionProblem
+ * @property {string} option - the name of the option that's wrong
+ * @property {string} message - what's wrong with it
+ */
+
+/**
+ * @typedef {Object} CheckFailure
+ * @property {string} check - the check that failed ('connections', 'connectivity', 'roomCount', 'roomPlacement' or 'pipeline')
+ * @property {string} message - a human readable description of the failure
+ * @property {Object} data - extra data about the failure
+ */
+
+/**
+ * @typedef {Object} FailedAttempt
+ * @property {number} attempt - the attempt number, starting at 1
+ * @property {boolean} emergencyMode - whether point and room loss were turned off for the attempt
+ * @property {CheckFailure[]} failures - the checks that failed during the attempt
+ */
+
+/**
+ * Thrown when a dungeon is created with options that can't work
+ */
+export class DungeonOptionsError extends Error {
+  /**
+   * Creates a new options error
+   * @param {OptionProblem[]} problems - Every problem found in the options
+   */
+  constructor(problems) {
+    super(`Invalid dungeon options:\n${problems.map((problem) => `- ${problem.option}: ${problem.message}`).join('\n')}`);
+    this.name = 'DungeonOptionsError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Thrown when no valid dungeon could be generated within the retry budget
+ */
+export class GenerationError extends Error {
+  /**
+   * Creates a new generation error
+   * @param {FailedAttempt[]} attempts - Every failed attempt, in order
+   */
+  constructor(attempts) {
+    const checks = [...new Set(attempts.flatMap((attempt) => attempt.failures.map((failure) => failure.check)))];
+    super(`Dungeon generation failed after ${attempts.length} attempts, failed checks: ${checks.join(', ') || 'none'}`);
+    this.name = 'GenerationError';
+    this.attempts = attempts;
+    this.failedChecks = checks;
+  }
+}
@@ -0,0 +1,225 @@
+// what a player has seen of a dungeon floor, using Pokémon Mystery Dungeon's sight rules:
+// standing in a lit room shows the whole room and its walls, anywhere else only the tiles right around you
+
+/**
+ * @callback RoomLitFn
+ * @param {RoomObj} room - The room
+ * @param {number} index - The room's index in roomList
+ * @returns {boolean} True if the room is lit
+ */
+
+/**
+ * @typedef {Object} ExplorationOptions
+ * @property {number} [sightRadius=1] - How far you can see in corridors and dark rooms
+ * @property {RoomLitFn} [isRoomLit] - Whether a room is lit, rooms are lit unless their metadata has `lit: false`
+ */
+
+/**
+ * @typedef {Object} ExplorationJSON
+ * @property {number} version - the format version
+ * @property {number} width - the number of columns of the floor
+ * @property {number} height - the number of rows of the floor
+ * @property {number[]} explored - 1 for every explored tile, indexed like the floor's TileMap
+ * @property {?{x: number, y: number}} position - where the player is standing, null before the first move
+ */
+
+class ExplorationState {
+  static FORMAT_VERSION = 1;
+
+  #roomIndex;
+
+  /**
+   * Creates the exploration state of a floor, with nothing explored yet
+   * @param {Dungeon} dungeon - The floor being explored
+   * @param {ExplorationOptions} [options={}] - Sight options
+   */
+  constructor(dungeon, options = {}) {
+    this.dungeon = dungeon;
+    this.width = dungeon.colCount;
+    this.height = dungeon.rowCount;
+    this.sightRadius = options.sightRadius ?? 1;
+    this.isRoomLit = options.isRoomLit ?? ((room) => room.metadata?.lit !== false);
+    this.explored = new Uint8Array(this.width * this.height);
+    this.visible = new Uint8Array(this.width * this.height);
+    this.position = null;
+
+    // the room under each tile, -1 outside rooms
+    this.#roomIndex = new Int32Array(this.width * this.height).fill(-1);
+    dungeon.roomList.forEach((room, index) => {
+      for (const { x, y } of room.tiles) {
+        this.#roomIndex[x * this.height + y] = index;
+      }
+    });
+  }
+
+  /**
+   * Gets the tiles that can be seen from a position, without changing the state
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<{x: number, y: number}>} The visible tiles, walls included
+   */
+  computeFieldOfView(x, y) {
+    this.#checkPosition(x, y);
+    const roomIndex = this.#roomIndex[x * this.height + y];
+    const room = roomIndex === -1 ? null : this.dungeon.roomList[roomIndex];
+    const lit = room !== null && this.isRoomLit(room, roomIndex);
+    // a lit room shows every tile within a step of its floor, which takes in its walls and doorways
+    const centres = lit ? room.tiles : [{ x, y }];
+    const radius = lit ? 1 : this.sightRadius;
+    const seen = new Uint8Array(this.width * this.height);
+    const tiles = [];
+    for (const centre of centres) {
+      for (let nx = Math.max(centre.x - radius, 0); nx <= Math.min(centre.x + radius, this.width - 1); nx++) {
+        for (let ny = Math.max(centre.y - radius, 0); ny <= Math.min(centre.y + radius, this.height - 1); ny++) {
+          if (!seen[nx * this.height + ny]) {
+            seen[nx * this.height + ny] = 1;
+            tiles.push({ x: nx, y: ny });
+          }
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Moves the player, updating what's visible and marking it explored
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<{x: number, y: number}>} The tiles visible from the new position
+   */
+  moveTo(x, y) {
+    const tiles = this.computeFieldOfView(x, y);
+    this.visible.fill(0);
+    for (const tile of tiles) {
+      const index = tile.x * this.height + tile.y;
+      this.visible[index] = 1;
+      this.explored[index] = 1;
+    }
+    this.position = { x, y };
+    return tiles;
+  }
+
+  /**
+   * Checks if a tile can be seen from the player's position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the tile is visible
+   */
+  isVisible(x, y) {
+    return this.#contains(x, y) && this.visible[x * this.height + y] === 1;
+  }
+
+  /**
+   * Checks if a tile has ever been seen
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the tile is explored
+   */
+  isExplored(x, y) {
+    return this.#contains(x, y) && this.explored[x * this.height + y] === 1;
+  }
+
+  /**
+   * Gets every explored tile
+   * @returns {Array<{x: number, y: number}>} The explored tiles
+   */
+  getExploredTiles() {
+    const tiles = [];
+    for (let index = 0; index < this.explored.length; index++) {
+      if (this.explored[index]) {
+        tiles.push({ x: Math.floor(index / this.height), y: index % this.height });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Marks tiles explored without seeing them, such as a whole room shown by a map item
+   * @param {Array<{x: number, y: number}>} tiles - The tiles to mark
+   * @returns {void}
+   */
+  reveal(tiles) {
+    for (const { x, y } of tiles) {
+      this.#checkPosition(x, y);
+      this.explored[x * this.height + y] = 1;
+    }
+  }
+
+  /**
+   * Marks the whole floor explored
+   * @returns {void}
+   */
+  revealAll() {
+    this.explored.fill(1);
+  }
+
+  /**
+   * Serializes the state, to be saved alongside the floor's own toJSON
+   * @returns {ExplorationJSON} A plain object
+   */
+  toJSON() {
+    return {
+      version: ExplorationState.FORMAT_VERSION,
+      width: this.width,
+      height: this.height,
+      explored: Array.from(this.explored),
+      position: this.position,
+    };
+  }
+
+  /**
+   * Rebuilds a state from the output of toJSON, visibility is worked out again from the saved position
+   * @param {Dungeon} dungeon - The floor the state belongs to
+   * @param {ExplorationJSON|string} json - The serialized state, as an object or JSON string
+   * @param {ExplorationOptions} [options={}] - Sight options
+   * @returns {ExplorationState} The restored state
+   */
+  static fromJSON(dungeon, json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Number.isInteger(data?.version)) {
+      throw new TypeError('Invalid exploration data: missing format version');
+    }
+    if (data.version > ExplorationState.FORMAT_VERSION) {
+      throw new RangeError(
+        `Exploration format version ${data.version} is newer than the supported version ${ExplorationState.FORMAT_VERSION}`,
+      );
+    }
+    if (data.width !== dungeon.colCount || data.height !== dungeon.rowCount) {
+      throw new RangeError(
+        `Exploration data is for a ${data.width}x${data.height} floor, not ${dungeon.colCount}x${dungeon.rowCount}`,
+      );
+    }
+    const state = new ExplorationState(dungeon, options);
+    state.explored.set(data.explored);
+    if (data.position) {
+      state.moveTo(data.position.x, data.position.y);
+    }
+    return state;
+  }
+
+  /**
+   * Checks if a position is on the floor
+   * @private
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the position is on the floor
+   */
+  #contains(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Throws if a position is off the floor
+   * @private
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {void}
+   */
+  #checkPosition(x, y) {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !this.#contains(x, y)) {
+      throw new RangeError(`Position ${x},${y} is outside the ${this.width}x${this.height} floor`);
+    }
+  }
+}
+
+export default ExplorationState;
@@ -1,20 +1,33 @@
 // import the dungeon generator class as require
 import Dungeon from './dungeonGen.js';
+import DungeonRun from './dungeonRun.js';
+import DungeonLogger from './logger.js';
+import ExplorationState from './exploration.js';
+import { buildMinimap, drawMinimapGraphics } from './minimap.js';
 import * as PIXI from 'pixi.js';
 
+// route generator events into the offcanvas log
+const logger = new DungeonLogger({ level: DungeonLogger.Levels.INFO });
+logger.subscribe((entry) => {
+  const logContainer = document.querySelector('#logContainer');
+  if (logContainer) {
+    logContainer.innerHTML += `${entry.message}<br>`;
+  }
+});
+
 document.addEventListener('input', (event) => {
   // ignore toggle switches
-  console.log('addEventListener(\'input\')');
   if (event.target.type === 'checkbox') {
     // we do want to store the options if the autoClearSwitch is toggled
     if (event.target.id === 'autoClearSwitch') {
       storeAllOptions();
     }
-    // if it's drawRoomLinks, we need to store the options and redraw the dungeon
-    if (event.target.id === 'drawRoomLinks') {
+    // if it's drawRoomLinks, playerView or showMinimap, we need to store the options and redraw the dungeon
+    if (['drawRoomLinks', 'playerView', 'showMinimap'].includes(event.target.id)) {
       storeAllOptions();
-      dungeon.regenerate();
-      drawBoard(dungeon);
+      if (dungeon) {
+        drawBoard(dungeon);
+      }
     }
     return;
   }
@@ -33,19 +46,46 @@ document.addEventListener('input', (event) => {
   }
   storeAllOptions();
   const options = loadAllOptions();
-  dungeon = createDungeon(options);
-  drawBoard(dungeon);
+  run = createRun(options);
+  showFloor(0);
 });
 document.querySelector('#regenerate').addEventListener('click', () => {
-  console.log('regenerate');
   // if autoClear is checked, clear the log
   if (document.querySelector('#autoClearSwitch').checked) {
     const logContainer = document.querySelector('#logContainer');
     logContainer.innerHTML = '';
   }
   const options = loadAllOptions();
-  dungeon = createDungeon(options);
-  drawBoard(dungeon);
+  run = createRun(options);
+  showFloor(0);
+});
+
+document.querySelector('#previousFloor').addEventListener('click', () => {
+  showFloor(currentFloor - 1);
+});
+
+document.querySelector('#nextFloor').addEventListener('click', () => {
+  showFloor(currentFloor + 1);
+});
+
+// in player view, the arrow keys (or WASD) walk the player around the floor
+const moveKeys = {
+  ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0],
+  w: [0, -1], s: [0, 1], a: [-1, 0], d: [1, 0],
+};
+document.addEventListener('keydown', (event) => {
+  const step = moveKeys[event.key];
+  const exploration = getPlayerView(dungeon);
+  if (!step || !exploration || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+    return;
+  }
+  event.preventDefault();
+  const x = exploration.position.x + step[0];
+  const y = exploration.position.y + step[1];
+  if (dungeon.isWalkable(x, y)) {
+    exploration.moveTo(x, y);
+    drawBoard(dungeon);
+  }
 });
 
 document.querySelector('#logClear').addEventListener('click', () => {
@@ -63,8 +103,13 @@ function storeAllOptions() {
     minRoomSizeY: document.querySelector('#dungeonRoomMinY').value,
     maxRoomSizeX: document.querySelector('#dungeonRoomMaxX').value,
     maxRoomSizeY: document.querySelector('#dungeonRoomMaxY').value,
+    layout: document.querySelector('#dungeonLayout').value,
+    terrainMode: document.querySelector('#dungeonTerrainMode').value,
+    liquidTerrain: document.querySelector('#dungeonLiquidTerrain').value,
     autoClearLog: document.querySelector('#autoClearSwitch').checked,
     drawRoomLinks: document.querySelector('#drawRoomLinks').checked,
+    playerView: document.querySelector('#playerView').checked,
+    showMinimap: document.querySelector('#showMinimap').checked,
     seed: document.querySelector('#dungeonSeed').value,
   };
   localStorage.setItem('options', JSON.stringify(options));
@@ -85,8 +130,13 @@ function loadAllOptions() {
     document.querySelector('#dungeonRoomMinY').value = options.minRoomSizeY;
     document.querySelector('#dungeonRoomMaxX').value = options.maxRoomSizeX;
     document.querySelector('#dungeonRoomMaxY').value = options.maxRoomSizeY;
+    document.querySelector('#dungeonLayout').value = options.layout || 'grid';
+    document.querySelector('#dungeonTerrainMode').value = options.terrainMode || 'none';
+    document.querySelector('#dungeonLiquidTerrain').value = options.liquidTerrain || 'WATER';
     document.querySelector('#autoClearSwitch').checked = options.autoClearLog;
     document.querySelector('#drawRoomLinks').checked = options.drawRoomLinks;
+    document.querySelector('#playerView').checked = options.playerView ?? false;
+    document.querySelector('#showMinimap').checked = options.showMinimap ?? false;
     document.querySelector('#dungeonSeed').value = options.seed || '';
   }
   return options;
@@ -102,8 +152,13 @@ function returnDefaultOptions() {
     minRoomSizeY: 3,
     maxRoomSizeX: 7,
     maxRoomSizeY: 7,
+    layout: 'grid',
+    terrainMode: 'none',
+    liquidTerrain: 'WATER',
     autoClearLog: false,
     drawRoomLinks: false,
+    playerView: false,
+    showMinimap: false,
     seed: '',
   };
   localStorage.setItem('options', JSON.stringify(options));
@@ -114,14 +169,51 @@ document.querySelector('#defaultOptions').addEventListener('click', () => {
   //   generateDungeon();
 });
 
+// what the player has seen of each floor, kept while the floor's run is
+const explorations = new WeakMap();
+
+// Gets the exploration state of a floor when player view is on, starting the player on the entry
+function getPlayerView(floor) {
+  if (!floor || !document.querySelector('#playerView').checked) {
+    return null;
+  }
+  if (!explorations.has(floor)) {
+    const exploration = new ExplorationState(floor);
+    exploration.moveTo(floor.specialPoints.entry.x, floor.specialPoints.entry.y);
+    explorations.set(floor, exploration);
+  }
+  return explorations.get(floor);
+}
+
 // load the options from local storage
 const options = loadAllOptions();
-let dungeon = createDungeon(options);
-console.log(dungeon);
+let run = createRun(options);
+let currentFloor = 0;
+let dungeon = loadFloor(currentFloor);
+updateFloorControls();
 
 const app = new PIXI.Application();
 app.stage.sortableChildren = true; // enable render layer sorting
 
+// the board is drawn in world units of TILE_SIZE pixels, and the world is panned and zoomed as a whole
+const TILE_SIZE = 16;
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+
+// one display object per layer: the tiles are a single texture with a texel per tile, stretched to TILE_SIZE
+const world = new PIXI.Container();
+const tileLayer = new PIXI.Sprite(PIXI.Texture.EMPTY);
+const gridLayer = new PIXI.Graphics();
+const linkLayer = new PIXI.Graphics();
+const playerLayer = new PIXI.Graphics();
+world.addChild(tileLayer, gridLayer, linkLayer, playerLayer);
+app.stage.addChild(world);
+
+// the minimap stays in the corner of the screen, outside the world
+const minimapLayer = new PIXI.Graphics();
+minimapLayer.zIndex = 700;
+app.stage.addChild(minimapLayer);
+
 // Replace tooltip creation section with container setup
 const tooltipContainer = new PIXI.Container();
 tooltipContainer.zIndex = 1000;
@@ -149,35 +241,181 @@ tooltipContainer.visible = false;
 app.stage.addChild(tooltipContainer);
 app.stage.sortChildren();
 
+// the floor the tile texture was built for, its RGBA pixels, and the tile under the pointer
+let drawnFloor = null;
+let tilePixels = null;
+let hoveredTile = null;
+let lastPointer = null;
+
 function drawBoard(dungeonBoard) {
-  // Clear previous graphics and re-add tooltip
-  app.stage.removeChildren();
-  app.stage.addChild(tooltipContainer);
-
-  // Calculate cell size
-  const maxCellWidth = Math.floor(app.renderer.width / dungeonBoard.colCount);
-  const maxCellHeight = Math.floor(app.renderer.height / dungeonBoard.rowCount);
-  const cellSize = Math.min(maxCellWidth, maxCellHeight);
-
-  // For each cell, create a Pixi Graphics
-  for (let x = 0; x < dungeonBoard.board.length; x++) {
-    for (let y = 0; y < dungeonBoard.board[x].length; y++) {
-      const cellValue = dungeonBoard.board[x][y];
-      const color = getCellColor(cellValue);
-      const rect = new PIXI.Graphics();
-      rect.rect(0, 0, cellSize - 2, cellSize - 2).fill({ color });
-      rect.x = x * cellSize + 1;
-      rect.y = y * cellSize + 1;
-      rect.interactive = true;
-      rect.on('pointerover', (e) => showTooltip(e, x, y, cellValue, dungeonBoard));
-      rect.on('pointerout', () => hideTooltip());
-      app.stage.addChild(rect);
+  // a new floor gets a new texture and grid, and is fitted to the screen
+  if (dungeonBoard !== drawnFloor) {
+    createTileLayer(dungeonBoard);
+    drawGrid(dungeonBoard);
+    drawnFloor = dungeonBoard;
+    fitView();
+  }
+
+  // in player view, unexplored tiles are black and explored tiles out of sight are dimmed
+  const exploration = getPlayerView(dungeonBoard);
+
+  // write every tile's colour into the texture, then upload it once
+  const { tileMap } = dungeonBoard;
+  for (let x = 0; x < dungeonBoard.colCount; x++) {
+    for (let y = 0; y < dungeonBoard.rowCount; y++) {
+      let color = getCellColor(tileMap.toLegacyTile(x, y));
+      if (exploration && !exploration.isExplored(x, y)) {
+        color = 0x000000;
+      }
+      else if (exploration && !exploration.isVisible(x, y)) {
+        color = dimColor(color);
+      }
+      const offset = (y * dungeonBoard.colCount + x) * 4;
+      tilePixels[offset] = (color >> 16) & 0xFF;
+      tilePixels[offset + 1] = (color >> 8) & 0xFF;
+      tilePixels[offset + 2] = color & 0xFF;
+      tilePixels[offset + 3] = 0xFF;
     }
   }
+  tileLayer.texture.source.update();
+
+  playerLayer.clear();
+  if (exploration) {
+    playerLayer.circle((exploration.position.x + 0.5) * TILE_SIZE, (exploration.position.y + 0.5) * TILE_SIZE, TILE_SIZE / 3)
+      .fill({ color: 0xFFFFFF })
+      .stroke({ width: 2, color: 0x000000 });
+  }
+
+  linkLayer.clear();
+  if (document.querySelector('#drawRoomLinks').checked) {
+    drawRoomLinks(dungeonBoard);
+  }
+
+  minimapLayer.clear();
+  if (document.querySelector('#showMinimap').checked) {
+    drawMinimap(dungeonBoard, exploration);
+  }
+
+  // the tile under the pointer may have changed, e.g. been explored
+  hoveredTile = null;
+  if (lastPointer) {
+    updateTooltip(lastPointer);
+  }
+}
+
+// Gives the tile layer a texture with one pixel per tile of the floor
+function createTileLayer(dungeonBoard) {
+  if (tileLayer.texture !== PIXI.Texture.EMPTY) {
+    tileLayer.texture.destroy(true);
+  }
+  tilePixels = new Uint8Array(dungeonBoard.colCount * dungeonBoard.rowCount * 4);
+  const source = new PIXI.BufferImageSource({
+    resource: tilePixels,
+    width: dungeonBoard.colCount,
+    height: dungeonBoard.rowCount,
+    format: 'rgba8unorm',
+    scaleMode: 'nearest',
+  });
+  tileLayer.texture = new PIXI.Texture({ source });
+  tileLayer.scale.set(TILE_SIZE);
+}
+
+// Draws the lines between tiles in the background colour, so tiles look separate like they used to
+function drawGrid(dungeonBoard) {
+  const width = dungeonBoard.colCount * TILE_SIZE;
+  const height = dungeonBoard.rowCount * TILE_SIZE;
+  gridLayer.clear();
+  for (let x = 0; x <= dungeonBoard.colCount; x++) {
+    gridLayer.moveTo(x * TILE_SIZE, 0).lineTo(x * TILE_SIZE, height);
+  }
+  for (let y = 0; y <= dungeonBoard.rowCount; y++) {
+    gridLayer.moveTo(0, y * TILE_SIZE).lineTo(width, y * TILE_SIZE);
+  }
+  gridLayer.stroke({ width: 2, color: 0x1099bb });
+}
+
+// Zooms and centres the view so the whole floor fits on screen
+function fitView() {
+  if (!drawnFloor) {
+    return;
+  }
+  const width = drawnFloor.colCount * TILE_SIZE;
+  const height = drawnFloor.rowCount * TILE_SIZE;
+  const zoom = clampZoom(Math.min(app.screen.width / width, app.screen.height / height));
+  world.scale.set(zoom);
+  world.position.set((app.screen.width - width * zoom) / 2, (app.screen.height - height * zoom) / 2);
+}
+
+function clampZoom(zoom) {
+  return Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+}
+
+// Zooms by a factor, keeping the world point under the given screen position where it is
+function zoomAt(screenX, screenY, factor) {
+  const anchor = world.toLocal({ x: screenX, y: screenY });
+  const zoom = clampZoom(world.scale.x * factor);
+  world.scale.set(zoom);
+  world.position.set(screenX - anchor.x * zoom, screenY - anchor.y * zoom);
+}
+
+// Draws the minimap in the top right corner, only showing explored tiles in player view
+function drawMinimap(dungeonBoard, exploration) {
+  const scale = 4;
+  const minimap = buildMinimap(dungeonBoard, { exploration });
+  minimapLayer.rect(0, 0, minimap.width * scale, minimap.height * scale).fill({ color: 0x000000, alpha: 0.6 });
+  drawMinimapGraphics(minimapLayer, minimap, { scale });
+  positionMinimap();
+}
+
+function positionMinimap() {
+  minimapLayer.x = app.screen.width - minimapLayer.width - 10;
+  minimapLayer.y = 10;
+}
+
+// Halves the brightness of a colour, for tiles that were seen but are out of sight
+function dimColor(color) {
+  return (color >> 1) & 0x7F7F7F;
+}
+
+// Draws the dungeon's room graph over the map: corridors as lines, rooms and junctions as dots
+function drawRoomLinks(dungeonBoard) {
+  const graph = dungeonBoard.getRoomGraph();
+  const nodes = new Map(graph.nodes.map((node) => [node.id, node]));
+  const toWorld = (value) => value * TILE_SIZE + TILE_SIZE / 2;
+  for (const edge of graph.edges) {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    linkLayer.moveTo(toWorld(from.x), toWorld(from.y)).lineTo(toWorld(to.x), toWorld(to.y));
+  }
+  linkLayer.stroke({ width: 2, color: 0xD35400, alpha: 0.8 });
+  for (const node of graph.nodes) {
+    const radius = node.kind === 'room' ? TILE_SIZE / 2 : TILE_SIZE / 4;
+    linkLayer.circle(toWorld(node.x), toWorld(node.y), radius)
+      .fill({ color: node.kind === 'room' ? 0xD35400 : 0xF5B041 });
+  }
 }
 
 // Simple helper to map cell values to colors
 function getCellColor(cellValue) {
+  // content (items, traps, etc) is drawn over whatever tile it sits on
+  switch (cellValue.metadata?.content?.kind) {
+    case Dungeon.ContentTypes.ITEM: return 0xF28C28; // items in orange
+    case Dungeon.ContentTypes.MONEY: return 0xFFD700; // money in gold
+    case Dungeon.ContentTypes.TRAP: return 0x8E44AD; // traps in purple
+    case Dungeon.ContentTypes.WONDER_TILE: return 0xFF69B4; // wonder tiles in pink
+  }
+  if (cellValue.metadata?.doorway) {
+    return 0x5B8DBE; // doorways in a darker path colour
+  }
+  // terrain is drawn under the stairs, but over the floor it covers
+  if (cellValue.type !== 'ENTRY' && cellValue.type !== 'EXIT') {
+    switch (cellValue.terrain) {
+      case Dungeon.Terrains.WATER: return 0x2E86C1; // water in deep blue
+      case Dungeon.Terrains.LAVA: return 0xD84315; // lava in red orange
+      case Dungeon.Terrains.CHASM: return 0x1C1C1C; // chasms in near black
+      case Dungeon.Terrains.SECONDARY_FLOOR: return 0xB5D99C; // secondary floor in pale green
+    }
+  }
   const value = cellValue.type; // extract type
   switch (value) {
     case 0: return 0x7C7D7D; // wall
@@ -193,18 +431,53 @@ function getCellColor(cellValue) {
   }
 }
 
-function showTooltip(event, gridX, gridY, cellValue, dungeonInstance) {
-  tooltipText.text = getTooltipContent(gridX, gridY, cellValue, dungeonInstance);
+// Shows the tooltip of the tile under a screen position, or hides it off the floor
+function updateTooltip(point) {
+  const local = world.toLocal(point);
+  const x = Math.floor(local.x / TILE_SIZE);
+  const y = Math.floor(local.y / TILE_SIZE);
+  if (!dungeon || x < 0 || y < 0 || x >= dungeon.colCount || y >= dungeon.rowCount) {
+    hideTooltip();
+    return;
+  }
+  if (hoveredTile?.x !== x || hoveredTile?.y !== y) {
+    hoveredTile = { x, y };
+    showTooltip(x, y, dungeon);
+  }
+
+  const padding = 10;
+  let tooltipX = point.x + padding;
+  let tooltipY = point.y + padding;
+
+  // Check if tooltip would go off the right edge
+  if (tooltipX + tooltipContainer.width > app.screen.width) {
+    tooltipX = point.x - tooltipContainer.width - padding;
+  }
+
+  // Check if tooltip would go off the bottom edge
+  if (tooltipY + tooltipContainer.height > app.screen.height) {
+    tooltipY = point.y - tooltipContainer.height - padding;
+  }
+
+  tooltipContainer.position.set(tooltipX, tooltipY);
+}
+
+function showTooltip(gridX, gridY, dungeonInstance) {
+  tooltipText.text = getTooltipContent(gridX, gridY, dungeonInstance.tileMap.toLegacyTile(gridX, gridY), dungeonInstance);
   tooltipBackground.width = tooltipText.width + 10;
   tooltipBackground.height = tooltipText.height + 10;
   tooltipContainer.visible = true;
 }
 
 function hideTooltip() {
+  hoveredTile = null;
   tooltipContainer.visible = false;
 }
 
 function getTooltipContent(x, y, cellValue, dungeonInstance) {
+  if (getPlayerView(dungeonInstance)?.isExplored(x, y) === false) {
+    return `Position: (${x}, ${y})\nUnexplored`;
+  }
   const value = cellValue.type;
   let cellType = '';
   // Handle numbered cells (rooms) first
@@ -234,6 +507,9 @@ function getTooltipContent(x, y, cellValue, dungeonInstance) {
       case 'P':
         cellType = 'Path';
         break;
+      case 'S':
+        cellType = 'Open Terrain';
+        break;
       case 'ENTRY':
         cellType = 'Entry Point';
         break;
@@ -246,14 +522,29 @@ function getTooltipContent(x, y, cellValue, dungeonInstance) {
   }
 
   // Check if this cell is part of a room
-  const room = dungeonInstance.roomList?.find(r =>
-    x >= r.x && x < r.x + r.width &&
-    y >= r.y && y < r.y + r.height,
-  );
+  const room = dungeonInstance.getRoomAt(x, y);
 
   let tooltip = `Position: (${x}, ${y})\nType: ${cellType}`;
+  const terrain = dungeonInstance.getTileAt(x, y)?.terrain;
+  if (terrain) {
+    const crossedBy = Dungeon.TERRAIN_MOVEMENT[terrain].join(', ');
+    tooltip += `\nTerrain: ${terrain} (${crossedBy})`;
+  }
   if (room) {
-    tooltip += `\nRoom Size: ${room.width}x${room.height}`;
+    tooltip += `\nRoom Size: ${room.width}x${room.height} (${room.shape}, ${room.tiles.length} tiles)`;
+    tooltip += `\nRoom Type: ${room.metadata?.kind ?? room.type ?? Dungeon.RoomTypes.NORMAL}`;
+  }
+  const spawn = dungeonInstance.enemySpawns?.find(e => e.x === x && e.y === y);
+  if (spawn) {
+    tooltip += `\nEnemy Spawn: ${spawn.spawnTable}${spawn.monsterHouse ? ' (monster house)' : ''}`;
+  }
+  const metadata = dungeonInstance.getTileAt(x, y)?.metadata;
+  if (metadata?.doorway) {
+    tooltip += `\nDoorway into Room ${metadata.doorway.rooms.map((index) => dungeonInstance.roomList[index].grid + 1).join(', ')}`;
+  }
+  const content = metadata?.content;
+  if (content) {
+    tooltip += `\nContent: ${content.id} (${content.kind})`;
   }
 
   return tooltip;
@@ -262,31 +553,53 @@ function getTooltipContent(x, y, cellValue, dungeonInstance) {
 // Update startApp to call drawBoard once app is ready
 async function startApp() {
   try {
-    await app.init({ width: 1000, height: 800, backgroundColor: 0x1099bb });
     const dungeonContainer = document.querySelector('#dungeonContainer');
+    // the canvas follows the size of its container, which follows the window
+    await app.init({ resizeTo: dungeonContainer, backgroundColor: 0x1099bb });
     dungeonContainer.appendChild(app.canvas);
-    drawBoard(dungeon);
+    app.renderer.on('resize', positionMinimap);
+    if (dungeon) {
+      drawBoard(dungeon);
+    }
+
+    // a single set of handlers on the stage: dragging pans the world, hovering maps the pointer to a tile
+    let drag = null;
     app.stage.eventMode = 'static';
     app.stage.hitArea = app.screen;
-    app.stage.addEventListener('pointermove', (e) => {
-      if (tooltipContainer.visible) {
-        const padding = 10;
-        let tooltipX = e.global.x + padding;
-        let tooltipY = e.global.y + padding;
-
-        // Check if tooltip would go off the right edge
-        if (tooltipX + tooltipContainer.width > app.screen.width) {
-          tooltipX = e.global.x - tooltipContainer.width - padding;
-        }
-
-        // Check if tooltip would go off the bottom edge
-        if (tooltipY + tooltipContainer.height > app.screen.height) {
-          tooltipY = e.global.y - tooltipContainer.height - padding;
-        }
-
-        tooltipContainer.position.set(tooltipX, tooltipY);
+    app.stage.on('pointerdown', (e) => {
+      drag = { x: e.global.x, y: e.global.y, worldX: world.x, worldY: world.y };
+      app.canvas.style.cursor = 'grabbing';
+      hideTooltip();
+    });
+    const endDrag = () => {
+      drag = null;
+      app.canvas.style.cursor = '';
+    };
+    app.stage.on('pointerup', endDrag);
+    app.stage.on('pointerupoutside', endDrag);
+    app.stage.on('pointermove', (e) => {
+      lastPointer = { x: e.global.x, y: e.global.y };
+      if (drag) {
+        world.position.set(drag.worldX + e.global.x - drag.x, drag.worldY + e.global.y - drag.y);
+        return;
       }
+      updateTooltip(lastPointer);
+    });
+    app.canvas.addEventListener('pointerleave', () => {
+      lastPointer = null;
+      hideTooltip();
     });
+
+    // the wheel zooms around the pointer, and double clicking fits the floor back on screen
+    app.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const bounds = app.canvas.getBoundingClientRect();
+      zoomAt(event.clientX - bounds.left, event.clientY - bounds.top, Math.exp(-event.deltaY * 0.001));
+      if (lastPointer) {
+        updateTooltip(lastPointer);
+      }
+    }, { passive: false });
+    app.canvas.addEventListener('dblclick', () => fitView());
   }
   catch (err) {
     console.error('App initialization failed:', err);
@@ -295,15 +608,54 @@ async function startApp() {
 
 startApp();
 
-function createDungeon(configOptions) {
-  // Convert string seed to numeric value if provided
-  const seed = configOptions.seed
-    ? Array.from(configOptions.seed.toLowerCase()).reduce(
-      (acc, char) => acc + char.charCodeAt(0), 0,
-    )
-    : Math.floor(Math.random() * 1000000);
+// Switches the demo to another floor of the current run
+function showFloor(floorIndex) {
+  const floorToShow = Math.min(Math.max(floorIndex, 0), run.floorCount - 1);
+  const floor = loadFloor(floorToShow);
+  if (!floor) {
+    // keep the last good floor on screen
+    return;
+  }
+  dungeon = floor;
+  currentFloor = floorToShow;
+  updateFloorControls();
+  drawBoard(dungeon);
+}
 
-  const dungeonOptions = {
+// Gets a floor of the run, or null (with the reason in the log) if it can't be generated
+function loadFloor(floorIndex) {
+  try {
+    return run.getFloor(floorIndex);
+  }
+  catch (error) {
+    // generation failures are already logged by the dungeon, bad options are reported here
+    if (error instanceof Dungeon.OptionsError) {
+      logger.error(DungeonLogger.Events.MESSAGE, error.message, { problems: error.problems });
+    }
+    else if (!(error instanceof Dungeon.GenerationError)) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+function updateFloorControls() {
+  document.querySelector('#floorLabel').textContent = `Floor ${currentFloor + 1} / ${run.floorCount}`;
+  document.querySelector('#previousFloor').disabled = currentFloor === 0;
+  document.querySelector('#nextFloor').disabled = currentFloor === run.floorCount - 1;
+}
+
+function createRun(configOptions) {
+  // Numeric seeds (such as one copied from the placeholder) are used as-is, text seeds are hashed by the generator
+  let seed = null;
+  if (/^\d+$/.test(configOptions.seed)) {
+    seed = Number(configOptions.seed);
+  }
+  else if (configOptions.seed) {
+    seed = configOptions.seed.toLowerCase();
+  }
+
+  const baseOptions = {
     rowCount: parseInt(configOptions.rowCount),
     colCount: parseInt(configOptions.colCount),
     roomCountMin: parseInt(configOptions.roomCountMin),
@@ -312,10 +664,22 @@ function createDungeon(configOptions) {
     minRoomSizeY: parseInt(configOptions.minRoomSizeY),
     maxRoomSizeX: parseInt(configOptions.maxRoomSizeX),
     maxRoomSizeY: parseInt(configOptions.maxRoomSizeY),
-    seed,
+    layout: configOptions.layout || 'grid',
+    terrainMode: configOptions.terrainMode || 'none',
+    liquidTerrain: configOptions.liquidTerrain || 'WATER',
+    logger,
   };
 
-  const newDungeon = new Dungeon(dungeonOptions);
+  // deeper floors lose more connections and gain more shortcuts
+  const newRun = new DungeonRun({
+    seed,
+    floorCount: 10,
+    baseOptions,
+    schedule: DungeonRun.scaleOptions(
+      { pointLossChance: 5, randomPathMax: 1 },
+      { pointLossChance: 20, randomPathMax: 4 },
+    ),
+  });
 
   // Only update the value if it was a custom seed, otherwise just set the placeholder to the generated seed
   const seedInput = document.querySelector('#dungeonSeed');
@@ -324,8 +688,8 @@ function createDungeon(configOptions) {
   }
   else {
     seedInput.value = '';
-    seedInput.placeholder = `${newDungeon.getSeed()}`; // Use the dungeon's seed getter
+    seedInput.placeholder = `${newRun.getSeed()}`; // Use the run's seed getter
   }
 
-  return newDungeon;
-}
\ No newline at end of file
+  return newRun;
+}
@@ -0,0 +1,366 @@
+import { RoomShapes, shapeTiles } from './roomShapes.js';
+import { lBendRoutes, routeTiles } from './corridors.js';
+import TileMap from './tileMap.js';
+
+// alternative layout generators for the Dungeon class
+// each one fills dungeon.tileMap, roomList, gridList, pointList and connectionList, so the rest of the
+// pipeline (validation, stairs, content) works the same as with the grid layout
+
+/**
+ * Creates a room object and draws it on the board
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {{x: number, y: number, width: number, height: number}} rect - The room bounds
+ * @returns {Object} The room, already added to roomList
+ */
+function addRoom(dungeon, rect) {
+  const index = dungeon.roomList.length;
+  const tiles = shapeTiles(RoomShapes.RECT, rect);
+  for (const tile of tiles) {
+    dungeon.tileMap.setTile(tile.x, tile.y, TileMap.Kinds.ROOM, index + 1);
+  }
+  const room = { ...rect, grid: index, onPoint: true, shape: RoomShapes.RECT, tiles };
+  dungeon.roomList.push(room);
+  dungeon.pointList.push({
+    x: rect.x + Math.floor(rect.width / 2),
+    y: rect.y + Math.floor(rect.height / 2),
+    gridIndex: index,
+  });
+  return room;
+}
+
+/**
+ * Carves an L-shaped corridor between two points, only turning walls into corridor tiles
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {{x: number, y: number}} from - The start point
+ * @param {{x: number, y: number}} to - The end point
+ * @returns {void}
+ */
+function carveCorridor(dungeon, from, to) {
+  const route = lBendRoutes(from, to)[dungeon.randomInt(0, 1)];
+  for (const { x, y } of routeTiles(route)) {
+    if (dungeon.tileMap.getKind(x, y) === TileMap.Kinds.WALL) {
+      dungeon.tileMap.setTile(x, y, TileMap.Kinds.CORRIDOR);
+    }
+  }
+}
+
+/**
+ * Binary space partitioning: splits the board into leaves, puts a room in each, and joins sibling subtrees
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @returns {void}
+ */
+export function bspLayout(dungeon) {
+  const minLeafWidth = dungeon.minRoomSizeX + 2;
+  const minLeafHeight = dungeon.minRoomSizeY + 2;
+  const root = { x: 0, y: 0, width: dungeon.colCount, height: dungeon.rowCount };
+  const leaves = [root];
+
+  // keep splitting the largest splittable leaf until there's one per room
+  while (leaves.length < dungeon.roomCount) {
+    const splittable = leaves
+      .filter((leaf) => leaf.width >= minLeafWidth * 2 || leaf.height >= minLeafHeight * 2)
+      .sort((a, b) => b.width * b.height - a.width * a.height);
+    if (splittable.length === 0) {
+      break;
+    }
+    const leaf = splittable[0];
+    const canSplitX = leaf.width >= minLeafWidth * 2;
+    const canSplitY = leaf.height >= minLeafHeight * 2;
+    // split across the longer side, so leaves stay roughly square
+    const vertical = canSplitX && (!canSplitY || leaf.width / dungeon.colCount >= leaf.height / dungeon.rowCount);
+    if (vertical) {
+      const split = dungeon.randomInt(minLeafWidth, leaf.width - minLeafWidth);
+      leaf.children = [
+        { x: leaf.x, y: leaf.y, width: split, height: leaf.height },
+        { x: leaf.x + split, y: leaf.y, width: leaf.width - split, height: leaf.height },
+      ];
+    }
+    else {
+      const split = dungeon.randomInt(minLeafHeight, leaf.height - minLeafHeight);
+      leaf.children = [
+        { x: leaf.x, y: leaf.y, width: leaf.width, height: split },
+        { x: leaf.x, y: leaf.y + split, width: leaf.width, height: leaf.height - split },
+      ];
+    }
+    leaves.splice(leaves.indexOf(leaf), 1, ...leaf.children);
+  }
+
+  // a room inside each leaf, with a tile of wall on every side
+  for (const leaf of leaves) {
+    const width = dungeon.randomInt(dungeon.minRoomSizeX, Math.min(dungeon.maxRoomSizeX, leaf.width - 2));
+    const height = dungeon.randomInt(dungeon.minRoomSizeY, Math.min(dungeon.maxRoomSizeY, leaf.height - 2));
+    leaf.index = dungeon.gridList.length;
+    dungeon.gridList.push({ x: leaf.x, y: leaf.y, width: leaf.width, height: leaf.height, index: leaf.index });
+    leaf.room = addRoom(dungeon, {
+      x: dungeon.randomInt(leaf.x + 1, leaf.x + leaf.width - width - 1),
+      y: dungeon.randomInt(leaf.y + 1, leaf.y + leaf.height - height - 1),
+      width,
+      height,
+    });
+  }
+
+  // join the two halves of every split through their closest pair of rooms
+  const roomsUnder = (node) => (node.children ? node.children.flatMap(roomsUnder) : [node.room]);
+  const connect = (node) => {
+    if (!node.children) {
+      return;
+    }
+    node.children.forEach(connect);
+    let best = null;
+    for (const a of roomsUnder(node.children[0])) {
+      for (const b of roomsUnder(node.children[1])) {
+        const pointA = dungeon.pointList[a.grid];
+        const pointB = dungeon.pointList[b.grid];
+        const distance = Math.abs(pointA.x - pointB.x) + Math.abs(pointA.y - pointB.y);
+        if (!best || distance < best.distance) {
+          best = { point1: pointA, point2: pointB, distance };
+        }
+      }
+    }
+    dungeon.connectionList.push({ point1: best.point1, point2: best.point2 });
+    carveCorridor(dungeon, best.point1, best.point2);
+  };
+  connect(root);
+}
+
+/**
+ * Cellular automata caverns: random noise smoothed into caves, keeping the largest cave,
+ * with rooms being the largest open rectangles inside it
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @returns {void}
+ */
+export function caveLayout(dungeon) {
+  const { colCount, rowCount } = dungeon;
+  let open = [...Array(colCount)].map((_, x) =>
+    [...Array(rowCount)].map((__, y) =>
+      x > 0 && y > 0 && x < colCount - 1 && y < rowCount - 1 && dungeon.randomInt(1, 100) > 45,
+    ),
+  );
+  // smooth the noise: a tile becomes wall when most of its neighbours are walls
+  for (let step = 0; step < 5; step++) {
+    open = open.map((column, x) => column.map((_, y) => {
+      if (x === 0 || y === 0 || x === colCount - 1 || y === rowCount - 1) {
+        return false;
+      }
+      let walls = 0;
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          if ((dx !== 0 || dy !== 0) && !open[x + dx][y + dy]) {
+            walls++;
+          }
+        }
+      }
+      return walls < 5;
+    }));
+  }
+
+  // keep only the largest cave, so everything is connected
+  const region = new Int32Array(colCount * rowCount).fill(-1);
+  let largest = { id: -1, size: 0 };
+  let regionCount = 0;
+  for (let x = 0; x < colCount; x++) {
+    for (let y = 0; y < rowCount; y++) {
+      if (!open[x][y] || region[x * rowCount + y] !== -1) {
+        continue;
+      }
+      const id = regionCount++;
+      let size = 0;
+      const queue = [[x, y]];
+      region[x * rowCount + y] = id;
+      while (queue.length > 0) {
+        const [cx, cy] = queue.pop();
+        size++;
+        for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+          if (open[nx][ny] && region[nx * rowCount + ny] === -1) {
+            region[nx * rowCount + ny] = id;
+            queue.push([nx, ny]);
+          }
+        }
+      }
+      if (size > largest.size) {
+        largest = { id, size };
+      }
+    }
+  }
+  for (let x = 0; x < colCount; x++) {
+    for (let y = 0; y < rowCount; y++) {
+      if (region[x * rowCount + y] === largest.id) {
+        dungeon.tileMap.setTile(x, y, TileMap.Kinds.CORRIDOR);
+      }
+    }
+  }
+
+  // rooms are the largest free rectangles of cave floor, capped at the maximum room size
+  const free = open.map((column, x) => column.map((_, y) => region[x * rowCount + y] === largest.id));
+  while (dungeon.roomList.length < dungeon.roomCount) {
+    const rect = largestRectangle(free);
+    if (!rect || rect.width < dungeon.minRoomSizeX || rect.height < dungeon.minRoomSizeY) {
+      break;
+    }
+    const width = Math.min(rect.width, dungeon.maxRoomSizeX);
+    const height = Math.min(rect.height, dungeon.maxRoomSizeY);
+    const room = addRoom(dungeon, {
+      x: rect.x + dungeon.randomInt(0, rect.width - width),
+      y: rect.y + dungeon.randomInt(0, rect.height - height),
+      width,
+      height,
+    });
+    // rooms keep a tile of cave floor between them
+    for (let x = room.x - 1; x <= room.x + room.width; x++) {
+      for (let y = room.y - 1; y <= room.y + room.height; y++) {
+        if (free[x]?.[y] !== undefined) {
+          free[x][y] = false;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Finds the largest rectangle of true cells, using the largest-rectangle-in-a-histogram method per row
+ * @param {boolean[][]} cells - The cells, indexed as [x][y]
+ * @returns {?{x: number, y: number, width: number, height: number}} The largest rectangle, or null if there are no true cells
+ */
+function largestRectangle(cells) {
+  const width = cells.length;
+  const height = cells[0].length;
+  const heights = new Array(width).fill(0);
+  let best = null;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      heights[x] = cells[x][y] ? heights[x] + 1 : 0;
+    }
+    const stack = [];
+    for (let x = 0; x <= width; x++) {
+      const current = x < width ? heights[x] : 0;
+      while (stack.length > 0 && heights[stack[stack.length - 1]] >= current) {
+        const barHeight = heights[stack.pop()];
+        const left = stack.length > 0 ? stack[stack.length - 1] + 1 : 0;
+        const area = barHeight * (x - left);
+        if (barHeight > 0 && (!best || area > best.width * best.height)) {
+          best = { x: left, y: y - barHeight + 1, width: x - left, height: barHeight };
+        }
+      }
+      stack.push(x);
+    }
+  }
+  return best;
+}
+
+/**
+ * Labyrinth: rooms on odd coordinates, a maze grown through the space between them, then
+ * just enough openings to join every room and maze section together
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @returns {void}
+ */
+export function mazeLayout(dungeon) {
+  const { colCount, rowCount } = dungeon;
+  const region = new Int32Array(colCount * rowCount).fill(-1);
+  const key = (x, y) => x * rowCount + y;
+  const odd = (value) => value - (1 - (value % 2));
+  let regionCount = 0;
+
+  // rooms have odd positions and sizes, so their edges line up with the maze
+  for (let attempt = 0; attempt < 200 && dungeon.roomList.length < dungeon.roomCount; attempt++) {
+    const width = Math.max(odd(dungeon.randomInt(dungeon.minRoomSizeX, dungeon.maxRoomSizeX)), 3);
+    const height = Math.max(odd(dungeon.randomInt(dungeon.minRoomSizeY, dungeon.maxRoomSizeY)), 3);
+    const x = odd(dungeon.randomInt(1, Math.max(1, colCount - width - 1)));
+    const y = odd(dungeon.randomInt(1, Math.max(1, rowCount - height - 1)));
+    if (x < 1 || y < 1 || x + width > colCount - 1 || y + height > rowCount - 1) {
+      continue;
+    }
+    let overlaps = false;
+    for (const room of dungeon.roomList) {
+      if (x <= room.x + room.width && x + width >= room.x && y <= room.y + room.height && y + height >= room.y) {
+        overlaps = true;
+        break;
+      }
+    }
+    if (overlaps) {
+      continue;
+    }
+    addRoom(dungeon, { x, y, width, height });
+    const id = regionCount++;
+    for (let rx = x; rx < x + width; rx++) {
+      for (let ry = y; ry < y + height; ry++) {
+        region[key(rx, ry)] = id;
+      }
+    }
+  }
+
+  // grow a maze from every odd tile that isn't a room yet, using a recursive backtracker
+  const directions = [[0, -2], [2, 0], [0, 2], [-2, 0]];
+  const inside = (x, y) => x > 0 && y > 0 && x < colCount - 1 && y < rowCount - 1;
+  for (let startX = 1; startX < colCount - 1; startX += 2) {
+    for (let startY = 1; startY < rowCount - 1; startY += 2) {
+      if (region[key(startX, startY)] !== -1) {
+        continue;
+      }
+      const id = regionCount++;
+      const stack = [[startX, startY]];
+      region[key(startX, startY)] = id;
+      dungeon.tileMap.setTile(startX, startY, TileMap.Kinds.CORRIDOR);
+      while (stack.length > 0) {
+        const [x, y] = stack[stack.length - 1];
+        const options = directions.filter(([dx, dy]) =>
+          inside(x + dx, y + dy) && region[key(x + dx, y + dy)] === -1,
+        );
+        if (options.length === 0) {
+          stack.pop();
+          continue;
+        }
+        const [dx, dy] = options[dungeon.randomInt(0, options.length - 1)];
+        for (const [cx, cy] of [[x + dx / 2, y + dy / 2], [x + dx, y + dy]]) {
+          region[key(cx, cy)] = id;
+          dungeon.tileMap.setTile(cx, cy, TileMap.Kinds.CORRIDOR);
+        }
+        stack.push([x + dx, y + dy]);
+      }
+    }
+  }
+
+  // connectors are walls between two different regions, open them until everything is joined
+  const connectors = [];
+  for (let x = 1; x < colCount - 1; x++) {
+    for (let y = 1; y < rowCount - 1; y++) {
+      if (region[key(x, y)] !== -1) {
+        continue;
+      }
+      const horizontal = [region[key(x - 1, y)], region[key(x + 1, y)]];
+      const vertical = [region[key(x, y - 1)], region[key(x, y + 1)]];
+      for (const [a, b] of [horizontal, vertical]) {
+        if (a !== -1 && b !== -1 && a !== b) {
+          connectors.push({ x, y, a, b });
+        }
+      }
+    }
+  }
+  for (let i = connectors.length - 1; i > 0; i--) {
+    const j = dungeon.randomInt(0, i);
+    [connectors[i], connectors[j]] = [connectors[j], connectors[i]];
+  }
+  const parent = [...Array(regionCount).keys()];
+  const find = (id) => {
+    while (parent[id] !== id) {
+      parent[id] = parent[parent[id]];
+      id = parent[id];
+    }
+    return id;
+  };
+  let extraOpenings = dungeon.randomInt(0, dungeon.randomPathMax);
+  for (const connector of connectors) {
+    const rootA = find(connector.a);
+    const rootB = find(connector.b);
+    if (rootA !== rootB) {
+      parent[rootA] = rootB;
+    }
+    else if (extraOpenings > 0) {
+      // a few already joined connectors are opened too, to make loops
+      extraOpenings--;
+    }
+    else {
+      continue;
+    }
+    dungeon.tileMap.setTile(connector.x, connector.y, TileMap.Kinds.CORRIDOR);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * @typedef {Object} LogEntry
+ * @property {number} level - the numeric level of the entry (see DungeonLogger.Levels)
+ * @property {string} levelName - the name of the level (DEBUG, INFO, WARN, ERROR)
+ * @property {string} event - the structured event name (see DungeonLogger.Events)
+ * @property {string} message - a human readable description of the event
+ * @property {Object} data - any extra data attached to the event
+ */
+
+/**
+ * @callback LogListener
+ * @param {LogEntry} entry - the entry that was logged
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {number|string} [level] - Minimum level to emit, defaults to INFO in the browser and SILENT elsewhere
+ * @property {boolean} [console] - Whether entries are also written to the console, defaults to true in the browser
+ */
+
+class DungeonLogger {
+  static Levels = {
+    DEBUG: 10,
+    INFO: 20,
+    WARN: 30,
+    ERROR: 40,
+    SILENT: 100,
+  };
+
+  static Events = {
+    MESSAGE: 'message',
+    ROOM_PLACED: 'roomPlaced',
+    ROOM_LOST: 'roomLost',
+    CONNECTION_DROPPED: 'connectionDropped',
+    PATH_ADDED: 'pathAdded',
+    PATH_REMOVED: 'pathRemoved',
+    CORRIDOR_THROUGH_ROOM: 'corridorThroughRoom',
+    CORRIDOR_TARGETS_UNMET: 'corridorTargetsUnmet',
+    VALIDATION_FAILED: 'validationFailed',
+    EMERGENCY_MODE: 'emergencyMode',
+    ROOM_PLACEMENT_FAILED: 'roomPlacementFailed',
+    GENERATION_FAILED: 'generationFailed',
+    ROOM_COUNT_CLAMPED: 'roomCountClamped',
+    EXIT_DISTANCE_UNMET: 'exitDistanceUnmet',
+    DUNGEON_GENERATED: 'dungeonGenerated',
+  };
+
+  #listeners = [];
+
+  /**
+   * Creates a new logger
+   * @param {LoggerOptions} [options={}] - Configuration options for the logger
+   */
+  constructor(options = {}) {
+    const inBrowser = typeof document !== 'undefined';
+    this.level = DungeonLogger.resolveLevel(
+      options.level ?? (inBrowser ? DungeonLogger.Levels.INFO : DungeonLogger.Levels.SILENT),
+    );
+    this.console = options.console ?? inBrowser;
+  }
+
+  /**
+   * Turns a level name or number into a numeric level
+   * @param {number|string} level - The level to resolve
+   * @returns {number} The numeric level
+   */
+  static resolveLevel(level) {
+    if (typeof level === 'string') {
+      const resolved = DungeonLogger.Levels[level.toUpperCase()];
+      if (resolved === undefined) {
+        throw new Error(`Unknown log level: ${level}`);
+      }
+      return resolved;
+    }
+    return level;
+  }
+
+  /**
+   * Subscribes a listener to every entry at or above the logger's level
+   * @param {LogListener} listener - The function to call with each entry
+   * @returns {function(): void} A function that removes the listener again
+   */
+  subscribe(listener) {
+    this.#listeners.push(listener);
+    return () => {
+      const index = this.#listeners.indexOf(listener);
+      if (index !== -1) {
+        this.#listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Emits a structured log entry
+   * @param {number|string} level - The level of the entry
+   * @param {string} event - The event name
+   * @param {string} message - A human readable description
+   * @param {Object} [data={}] - Extra data for the entry
+   * @returns {void}
+   */
+  log(level, event, message, data = {}) {
+    const numericLevel = DungeonLogger.resolveLevel(level);
+    if (numericLevel < this.level) {
+      return;
+    }
+    const levelName = Object.keys(DungeonLogger.Levels)
+      .find((name) => DungeonLogger.Levels[name] === numericLevel) ?? 'INFO';
+    const entry = { level: numericLevel, levelName, event, message, data };
+    if (this.console) {
+      const method = numericLevel >= DungeonLogger.Levels.ERROR ? 'error'
+        : numericLevel >= DungeonLogger.Levels.WARN ? 'warn'
+          : 'log';
+      console[method](message);
+    }
+    for (const listener of [...this.#listeners]) {
+      listener(entry);
+    }
+  }
+
+  /**
+   * Emits a DEBUG entry
+   * @param {string} event - The event name
+   * @param {string} message - A human readable description
+   * @param {Object} [data] - Extra data for the entry
+   * @returns {void}
+   */
+  debug(event, message, data) {
+    this.log(DungeonLogger.Levels.DEBUG, event, message, data);
+  }
+
+  /**
+   * Emits an INFO entry
+   * @param {string} event - The event name
+   * @param {string} message - A human readable description
+   * @param {Object} [data] - Extra data for the entry
+   * @returns {void}
+   */
+  info(event, message, data) {
+    this.log(DungeonLogger.Levels.INFO, event, message, data);
+  }
+
+  /**
+   * Emits a WARN entry
+   * @param {string} event - The event name
+   * @param {string} message - A human readable description
+   * @param {Object} [data] - Extra data for the entry
+   * @returns {void}
+   */
+  warn(event, message, data) {
+    this.log(DungeonLogger.Levels.WARN, event, message, data);
+  }
+
+  /**
+   * Emits an ERROR entry
+   * @param {string} event - The event name
+   * @param {string} message - A human readable description
+   * @param {Object} [data] - Extra data for the entry
+   * @returns {void}
+   */
+  error(event, message, data) {
+    this.log(DungeonLogger.Levels.ERROR, event, message, data);
+  }
+}
+
+export default DungeonLogger;
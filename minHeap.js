@@ -0,0 +1,83 @@
+// a small binary min-heap, used as the priority queue for pathfinding
+
+class MinHeap {
+  #items = [];
+  #priorities = [];
+
+  /**
+   * Gets the number of items in the heap
+   * @returns {number} The number of items
+   */
+  get size() {
+    return this.#items.length;
+  }
+
+  /**
+   * Adds an item to the heap
+   * @param {*} item - The item to add
+   * @param {number} priority - The item's priority, lower comes out first
+   * @returns {void}
+   */
+  push(item, priority) {
+    this.#items.push(item);
+    this.#priorities.push(priority);
+    let index = this.#items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.#priorities[parent] <= this.#priorities[index]) {
+        break;
+      }
+      this.#swap(index, parent);
+      index = parent;
+    }
+  }
+
+  /**
+   * Removes and returns the item with the lowest priority
+   * @returns {*} The item, or undefined if the heap is empty
+   */
+  pop() {
+    if (this.#items.length === 0) {
+      return undefined;
+    }
+    const top = this.#items[0];
+    const lastItem = this.#items.pop();
+    const lastPriority = this.#priorities.pop();
+    if (this.#items.length > 0) {
+      this.#items[0] = lastItem;
+      this.#priorities[0] = lastPriority;
+      let index = 0;
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.#items.length && this.#priorities[left] < this.#priorities[smallest]) {
+          smallest = left;
+        }
+        if (right < this.#items.length && this.#priorities[right] < this.#priorities[smallest]) {
+          smallest = right;
+        }
+        if (smallest === index) {
+          break;
+        }
+        this.#swap(index, smallest);
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  /**
+   * Swaps two entries in the heap
+   * @private
+   * @param {number} a - The first index
+   * @param {number} b - The second index
+   * @returns {void}
+   */
+  #swap(a, b) {
+    [this.#items[a], this.#items[b]] = [this.#items[b], this.#items[a]];
+    [this.#priorities[a], this.#priorities[b]] = [this.#priorities[b], this.#priorities[a]];
+  }
+}
+
+export default MinHeap;
@@ -0,0 +1,320 @@
+import TileMap from './tileMap.js';
+
+// Pokémon Mystery Dungeon style minimap: room outlines, corridor lines and markers
+// buildMinimap turns a floor into plain geometry in tile units, which drawMinimapGraphics (a PixiJS
+// Graphics, or anything with the same drawing calls) and rasterizeMinimap (RGBA pixels for an ImageData) draw
+
+export const MarkerKinds = {
+  ENTRY: 'ENTRY',
+  EXIT: 'EXIT',
+  ITEM: 'ITEM',
+  TRAP: 'TRAP',
+  WONDER_TILE: 'WONDER_TILE',
+  MONEY: 'MONEY',
+  PLAYER: 'PLAYER',
+};
+
+export const DEFAULT_MINIMAP_STYLE = {
+  roomFill: 0x2850A8,
+  roomFillAlpha: 0.6,
+  roomOutline: 0xF0F0FF,
+  corridor: 0x6890E8,
+  corridorWidth: 0.35,
+  markers: {
+    [MarkerKinds.ENTRY]: 0x3DDC84,
+    [MarkerKinds.EXIT]: 0x3DDC84,
+    [MarkerKinds.ITEM]: 0x5BC0EB,
+    [MarkerKinds.TRAP]: 0xC061F0,
+    [MarkerKinds.WONDER_TILE]: 0xFF8AC8,
+    [MarkerKinds.MONEY]: 0xFFD23F,
+    [MarkerKinds.PLAYER]: 0xFFFFFF,
+  },
+  markerSize: 0.7,
+};
+
+/**
+ * @typedef {Object} MinimapSegment
+ * @property {number} x1 - x of the start, in tiles
+ * @property {number} y1 - y of the start, in tiles
+ * @property {number} x2 - x of the end, in tiles
+ * @property {number} y2 - y of the end, in tiles
+ */
+
+/**
+ * @typedef {Object} MinimapRoom
+ * @property {number} room - the index of the room in roomList
+ * @property {Array<{x: number, y: number}>} tiles - the room's floor tiles to fill
+ * @property {MinimapSegment[]} outline - the edges around those tiles, along tile borders
+ */
+
+/**
+ * @typedef {Object} MinimapMarker
+ * @property {string} kind - what the marker shows (see MarkerKinds)
+ * @property {number} x - the x coordinate of the tile
+ * @property {number} y - the y coordinate of the tile
+ */
+
+/**
+ * @typedef {Object} Minimap
+ * @property {number} width - the width of the floor in tiles
+ * @property {number} height - the height of the floor in tiles
+ * @property {MinimapRoom[]} rooms - the rooms, with only their explored tiles when filtering
+ * @property {MinimapSegment[]} corridors - corridor lines through tile centres
+ * @property {MinimapMarker[]} markers - stairs, content and the player, drawn in this order
+ */
+
+/**
+ * @typedef {Object} MinimapOptions
+ * @property {?ExplorationState} [exploration=null] - Only explored tiles are shown when given, and the player marker is placed at its position
+ * @property {?{x: number, y: number}} [player=null] - Where to put the player marker, overriding the exploration's position
+ * @property {boolean} [content=true] - Whether items, traps, Wonder Tiles and money get markers
+ */
+
+/**
+ * Joins segments that continue each other in a straight line, so long walls and corridors are one segment
+ * @param {MinimapSegment[]} segments - Horizontal and vertical segments
+ * @returns {MinimapSegment[]} The merged segments
+ */
+function mergeSegments(segments) {
+  const merged = [];
+  for (const horizontal of [true, false]) {
+    // group by the line each segment lies on, then sort along it
+    const lines = new Map();
+    for (const segment of segments) {
+      if ((segment.y1 === segment.y2) !== horizontal) {
+        continue;
+      }
+      const line = horizontal ? segment.y1 : segment.x1;
+      const start = horizontal ? Math.min(segment.x1, segment.x2) : Math.min(segment.y1, segment.y2);
+      const end = horizontal ? Math.max(segment.x1, segment.x2) : Math.max(segment.y1, segment.y2);
+      if (!lines.has(line)) {
+        lines.set(line, []);
+      }
+      lines.get(line).push([start, end]);
+    }
+    for (const [line, spans] of lines) {
+      spans.sort((a, b) => a[0] - b[0]);
+      let [start, end] = spans[0];
+      for (const span of [...spans.slice(1), [Infinity, Infinity]]) {
+        if (span[0] <= end) {
+          end = Math.max(end, span[1]);
+          continue;
+        }
+        merged.push(horizontal ? { x1: start, y1: line, x2: end, y2: line } : { x1: line, y1: start, x2: line, y2: end });
+        [start, end] = span;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds the minimap geometry of a floor
+ * @param {Dungeon} dungeon - The floor
+ * @param {MinimapOptions} [options={}] - What to include
+ * @returns {Minimap} The minimap, in tile units
+ */
+export function buildMinimap(dungeon, { exploration = null, player = null, content = true } = {}) {
+  const width = dungeon.colCount;
+  const height = dungeon.rowCount;
+  const shown = (x, y) => !exploration || exploration.isExplored(x, y);
+
+  const rooms = [];
+  const roomIndex = new Int32Array(width * height).fill(-1);
+  dungeon.roomList.forEach((room, index) => {
+    const tiles = room.tiles.filter(({ x, y }) => shown(x, y));
+    for (const { x, y } of tiles) {
+      roomIndex[x * height + y] = index;
+    }
+    if (tiles.length > 0) {
+      rooms.push({ room: index, tiles, outline: [] });
+    }
+  });
+  // a tile side is part of the outline when the tile on the other side isn't shown as the same room
+  const sameRoom = (x, y, index) => x >= 0 && x < width && y >= 0 && y < height && roomIndex[x * height + y] === index;
+  for (const minimapRoom of rooms) {
+    const edges = [];
+    for (const { x, y } of minimapRoom.tiles) {
+      if (!sameRoom(x, y - 1, minimapRoom.room)) {
+        edges.push({ x1: x, y1: y, x2: x + 1, y2: y });
+      }
+      if (!sameRoom(x, y + 1, minimapRoom.room)) {
+        edges.push({ x1: x, y1: y + 1, x2: x + 1, y2: y + 1 });
+      }
+      if (!sameRoom(x - 1, y, minimapRoom.room)) {
+        edges.push({ x1: x, y1: y, x2: x, y2: y + 1 });
+      }
+      if (!sameRoom(x + 1, y, minimapRoom.room)) {
+        edges.push({ x1: x + 1, y1: y, x2: x + 1, y2: y + 1 });
+      }
+    }
+    minimapRoom.outline = mergeSegments(edges);
+  }
+
+  // corridors run between tile centres, and stop at the edge of the room they lead into
+  const isCorridor = (x, y) => dungeon.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR && shown(x, y);
+  const corridorEdges = [];
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      if (!isCorridor(x, y)) {
+        continue;
+      }
+      let linked = false;
+      for (const [dx, dy] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+          continue;
+        }
+        if (isCorridor(nx, ny)) {
+          linked = true;
+          // corridor to corridor links are added once, from the left or upper tile
+          if (dx + dy > 0) {
+            corridorEdges.push({ x1: x + 0.5, y1: y + 0.5, x2: nx + 0.5, y2: ny + 0.5 });
+          }
+        }
+        else if (roomIndex[nx * height + ny] !== -1) {
+          linked = true;
+          corridorEdges.push({ x1: x + 0.5, y1: y + 0.5, x2: x + 0.5 + dx / 2, y2: y + 0.5 + dy / 2 });
+        }
+      }
+      // a corridor tile with nothing shown around it still gets a dot
+      if (!linked) {
+        corridorEdges.push({ x1: x + 0.5, y1: y + 0.5, x2: x + 0.5, y2: y + 0.5 });
+      }
+    }
+  }
+
+  const markers = [];
+  for (const [kind, point] of [[MarkerKinds.ENTRY, dungeon.specialPoints.entry], [MarkerKinds.EXIT, dungeon.specialPoints.exit]]) {
+    if (point && shown(point.x, point.y)) {
+      markers.push({ kind, x: point.x, y: point.y });
+    }
+  }
+  if (content) {
+    for (const item of dungeon.contentList) {
+      if (shown(item.x, item.y)) {
+        markers.push({ kind: item.kind, x: item.x, y: item.y });
+      }
+    }
+  }
+  const playerPosition = player ?? exploration?.position;
+  if (playerPosition) {
+    markers.push({ kind: MarkerKinds.PLAYER, x: playerPosition.x, y: playerPosition.y });
+  }
+
+  return { width, height, rooms, corridors: mergeSegments(corridorEdges), markers };
+}
+
+/**
+ * Draws a minimap with the PixiJS v8 Graphics API (rect, circle, moveTo, lineTo, fill and stroke)
+ * @param {Object} graphics - The Graphics to draw into, it isn't cleared first
+ * @param {Minimap} minimap - The minimap
+ * @param {Object} [options={}] - Drawing options
+ * @param {number} [options.scale=4] - Pixels per tile
+ * @param {Object} [options.style=DEFAULT_MINIMAP_STYLE] - Colours (0xRRGGBB) and sizes in tiles
+ * @returns {Object} The graphics, for chaining
+ */
+export function drawMinimapGraphics(graphics, minimap, { scale = 4, style = DEFAULT_MINIMAP_STYLE } = {}) {
+  for (const room of minimap.rooms) {
+    for (const { x, y } of room.tiles) {
+      graphics.rect(x * scale, y * scale, scale, scale);
+    }
+  }
+  graphics.fill({ color: style.roomFill, alpha: style.roomFillAlpha });
+  for (const segment of minimap.corridors) {
+    // corridors are drawn as rectangles so single tile dots and line ends come out square
+    const half = (style.corridorWidth * scale) / 2;
+    graphics.rect(
+      Math.min(segment.x1, segment.x2) * scale - half,
+      Math.min(segment.y1, segment.y2) * scale - half,
+      Math.abs(segment.x2 - segment.x1) * scale + half * 2,
+      Math.abs(segment.y2 - segment.y1) * scale + half * 2,
+    );
+  }
+  graphics.fill({ color: style.corridor });
+  for (const room of minimap.rooms) {
+    for (const segment of room.outline) {
+      graphics.moveTo(segment.x1 * scale, segment.y1 * scale).lineTo(segment.x2 * scale, segment.y2 * scale);
+    }
+  }
+  graphics.stroke({ width: 1, color: style.roomOutline });
+  for (const marker of minimap.markers) {
+    const radius = (style.markerSize * scale) / 2;
+    graphics.circle((marker.x + 0.5) * scale, (marker.y + 0.5) * scale, radius)
+      .fill({ color: style.markers[marker.kind] ?? style.roomOutline });
+  }
+  return graphics;
+}
+
+/**
+ * Rasterises a minimap into RGBA pixels, for `new ImageData(data, width, height)` and a Canvas2D putImageData
+ * Unshown tiles are left transparent
+ * @param {Minimap} minimap - The minimap
+ * @param {Object} [options={}] - Drawing options
+ * @param {number} [options.scale=4] - Pixels per tile
+ * @param {Object} [options.style=DEFAULT_MINIMAP_STYLE] - Colours (0xRRGGBB) and sizes in tiles
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The pixels, 4 bytes per pixel
+ */
+export function rasterizeMinimap(minimap, { scale = 4, style = DEFAULT_MINIMAP_STYLE } = {}) {
+  const width = minimap.width * scale;
+  const height = minimap.height * scale;
+  const data = new Uint8ClampedArray(width * height * 4);
+  // fills a rectangle in pixels, blending over what's there
+  const fillRect = (left, top, right, bottom, color, alpha = 1) => {
+    const r = (color >> 16) & 0xFF;
+    const g = (color >> 8) & 0xFF;
+    const b = color & 0xFF;
+    for (let py = Math.max(Math.floor(top), 0); py < Math.min(Math.ceil(bottom), height); py++) {
+      for (let px = Math.max(Math.floor(left), 0); px < Math.min(Math.ceil(right), width); px++) {
+        const offset = (py * width + px) * 4;
+        const under = data[offset + 3] / 255;
+        const outAlpha = alpha + under * (1 - alpha);
+        data[offset] = (r * alpha + data[offset] * under * (1 - alpha)) / outAlpha;
+        data[offset + 1] = (g * alpha + data[offset + 1] * under * (1 - alpha)) / outAlpha;
+        data[offset + 2] = (b * alpha + data[offset + 2] * under * (1 - alpha)) / outAlpha;
+        data[offset + 3] = outAlpha * 255;
+      }
+    }
+  };
+
+  for (const room of minimap.rooms) {
+    for (const { x, y } of room.tiles) {
+      fillRect(x * scale, y * scale, (x + 1) * scale, (y + 1) * scale, style.roomFill, style.roomFillAlpha);
+    }
+  }
+  const half = (style.corridorWidth * scale) / 2;
+  for (const segment of minimap.corridors) {
+    fillRect(
+      Math.min(segment.x1, segment.x2) * scale - half,
+      Math.min(segment.y1, segment.y2) * scale - half,
+      Math.max(segment.x1, segment.x2) * scale + half,
+      Math.max(segment.y1, segment.y2) * scale + half,
+      style.corridor,
+    );
+  }
+  // outlines are one pixel wide, on the inside of the tile border so the right and bottom edges stay on the image
+  for (const room of minimap.rooms) {
+    for (const segment of room.outline) {
+      const left = Math.min(segment.x1 * scale, width - 1);
+      const top = Math.min(segment.y1 * scale, height - 1);
+      const right = segment.x1 === segment.x2 ? left + 1 : segment.x2 * scale;
+      const bottom = segment.y1 === segment.y2 ? top + 1 : segment.y2 * scale;
+      fillRect(left, top, right, bottom, style.roomOutline);
+    }
+  }
+  for (const marker of minimap.markers) {
+    const radius = (style.markerSize * scale) / 2;
+    const centreX = (marker.x + 0.5) * scale;
+    const centreY = (marker.y + 0.5) * scale;
+    const color = style.markers[marker.kind] ?? style.roomOutline;
+    for (let py = Math.floor(centreY - radius); py < Math.ceil(centreY + radius); py++) {
+      for (let px = Math.floor(centreX - radius); px < Math.ceil(centreX + radius); px++) {
+        if ((px + 0.5 - centreX) ** 2 + (py + 0.5 - centreY) ** 2 <= radius * radius) {
+          fillRect(px, py, px + 1, py + 1, color);
+        }
+      }
+    }
+  }
+  return { width, height, data };
+}
@@ -0,0 +1,225 @@
+/**
+ * @callback StageRunner
+ * @param {Dungeon} dungeon - the dungeon being generated
+ * @param {Object} context - state shared by every stage and hook of a single generation run
+ * @returns {boolean|void} false to stop generation and mark the dungeon invalid
+ */
+
+/**
+ * @typedef {Object} PipelineStage
+ * @property {string} name - unique name of the stage
+ * @property {StageRunner} run - the function that performs the stage
+ */
+
+/**
+ * @callback StageHook
+ * @param {Dungeon} dungeon - the dungeon being generated
+ * @param {Object} context - state shared by every stage and hook of a single generation run
+ * @param {string} stageName - the name of the stage the hook is attached to
+ * @returns {void}
+ */
+
+class GenerationPipeline {
+  #stages = [];
+  #hooks = { before: new Map(), after: new Map() };
+
+  /**
+   * Creates a new pipeline
+   * @param {PipelineStage[]} [stages=[]] - The initial stages, in order
+   */
+  constructor(stages = []) {
+    for (const stage of stages) {
+      this.add(stage);
+    }
+  }
+
+  /**
+   * Gets the names of the stages, in the order they run
+   * @returns {string[]} The stage names
+   */
+  getStageNames() {
+    return this.#stages.map((stage) => stage.name);
+  }
+
+  /**
+   * Checks if a stage is in the pipeline
+   * @param {string} name - The stage name
+   * @returns {boolean} True if the stage exists
+   */
+  has(name) {
+    return this.#indexOf(name) !== -1;
+  }
+
+  /**
+   * Adds a stage to the end of the pipeline
+   * @param {PipelineStage} stage - The stage to add
+   * @returns {GenerationPipeline} The pipeline, for chaining
+   */
+  add(stage) {
+    this.#checkStage(stage);
+    this.#stages.push(stage);
+    return this;
+  }
+
+  /**
+   * Inserts a stage before an existing one
+   * @param {string} name - The name of the existing stage
+   * @param {PipelineStage} stage - The stage to insert
+   * @returns {GenerationPipeline} The pipeline, for chaining
+   */
+  insertBefore(name, stage) {
+    this.#checkStage(stage);
+    this.#stages.splice(this.#requireIndex(name), 0, stage);
+    return this;
+  }
+
+  /**
+   * Inserts a stage after an existing one
+   * @param {string} name - The name of the existing stage
+   * @param {PipelineStage} stage - The stage to insert
+   * @returns {GenerationPipeline} The pipeline, for chaining
+   */
+  insertAfter(name, stage) {
+    this.#checkStage(stage);
+    this.#stages.splice(this.#requireIndex(name) + 1, 0, stage);
+    return this;
+  }
+
+  /**
+   * Replaces a stage, keeping its position and hooks
+   * A renamed stage takes the hooks with it, so they run under the new name
+   * @param {string} name - The name of the stage to replace
+   * @param {StageRunner|PipelineStage} replacement - The new runner, or a whole stage (which may be renamed)
+   * @returns {GenerationPipeline} The pipeline, for chaining
+   */
+  replace(name, replacement) {
+    const index = this.#requireIndex(name);
+    const stage = typeof replacement === 'function' ? { name, run: replacement } : replacement;
+    if (stage.name !== name) {
+      this.#checkStage(stage);
+      for (const hooks of Object.values(this.#hooks)) {
+        if (hooks.has(name)) {
+          hooks.set(stage.name, hooks.get(name));
+          hooks.delete(name);
+        }
+      }
+    }
+    this.#stages[index] = stage;
+    return this;
+  }
+
+  /**
+   * Removes a stage and its hooks
+   * @param {string} name - The name of the stage to remove
+   * @returns {GenerationPipeline} The pipeline, for chaining
+   */
+  remove(name) {
+    this.#stages.splice(this.#requireIndex(name), 1);
+    this.#hooks.before.delete(name);
+    this.#hooks.after.delete(name);
+    return this;
+  }
+
+  /**
+   * Adds a hook that runs before a stage
+   * @param {string} name - The name of the stage
+   * @param {StageHook} hook - The hook to run
+   * @returns {function(): void} A function that removes the hook again
+   */
+  before(name, hook) {
+    return this.#addHook('before', name, hook);
+  }
+
+  /**
+   * Adds a hook that runs after a stage
+   * @param {string} name - The name of the stage
+   * @param {StageHook} hook - The hook to run
+   * @returns {function(): void} A function that removes the hook again
+   */
+  after(name, hook) {
+    return this.#addHook('after', name, hook);
+  }
+
+  /**
+   * Runs every stage in order, with its hooks
+   * @param {Dungeon} dungeon - The dungeon being generated
+   * @returns {boolean} False if a stage stopped generation, true otherwise
+   */
+  run(dungeon) {
+    const context = {};
+    for (const stage of [...this.#stages]) {
+      for (const hook of this.#hooks.before.get(stage.name) ?? []) {
+        hook(dungeon, context, stage.name);
+      }
+      if (stage.run(dungeon, context) === false) {
+        return false;
+      }
+      for (const hook of this.#hooks.after.get(stage.name) ?? []) {
+        hook(dungeon, context, stage.name);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Adds a hook to one side of a stage
+   * @private
+   * @param {string} side - 'before' or 'after'
+   * @param {string} name - The name of the stage
+   * @param {StageHook} hook - The hook to add
+   * @returns {function(): void} A function that removes the hook again
+   */
+  #addHook(side, name, hook) {
+    this.#requireIndex(name);
+    const hooks = this.#hooks[side].get(name) ?? [];
+    hooks.push(hook);
+    this.#hooks[side].set(name, hooks);
+    return () => {
+      const index = hooks.indexOf(hook);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Finds the index of a stage
+   * @private
+   * @param {string} name - The stage name
+   * @returns {number} The index, or -1 if the stage doesn't exist
+   */
+  #indexOf(name) {
+    return this.#stages.findIndex((stage) => stage.name === name);
+  }
+
+  /**
+   * Finds the index of a stage, throwing if it doesn't exist
+   * @private
+   * @param {string} name - The stage name
+   * @returns {number} The index of the stage
+   */
+  #requireIndex(name) {
+    const index = this.#indexOf(name);
+    if (index === -1) {
+      throw new Error(`Unknown pipeline stage: ${name}`);
+    }
+    return index;
+  }
+
+  /**
+   * Checks that a stage is well formed and its name is free
+   * @private
+   * @param {PipelineStage} stage - The stage to check
+   * @returns {void}
+   */
+  #checkStage(stage) {
+    if (typeof stage?.name !== 'string' || typeof stage.run !== 'function') {
+      throw new TypeError('A pipeline stage needs a name and a run function');
+    }
+    if (this.has(stage.name)) {
+      throw new Error(`Pipeline stage ${stage.name} already exists`);
+    }
+  }
+}
+
+export default GenerationPipeline;
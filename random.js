@@ -0,0 +1,101 @@
+// seeded random number generation shared by the Dungeon class and remy
+// uses mulberry32, a small 32-bit generator with a full 2^32 period
+
+class SeededRandom {
+  #state = null;
+
+  /**
+   * Creates a new random number generator
+   * @param {?(number|string)} [seed=null] - Seed for the generator, or null to use Math.random
+   */
+  constructor(seed = null) {
+    this.seed(seed);
+  }
+
+  /**
+   * Hashes a string into a 32-bit unsigned integer
+   * Uses FNV-1a followed by a murmur3 style finaliser, so anagrams and similar strings spread out
+   * @param {string} text - The string to hash
+   * @returns {number} A 32-bit unsigned integer
+   */
+  static hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+
+  /**
+   * Turns a number or string seed into a 32-bit generator state
+   * @param {?(number|string)} seed - The seed to normalise
+   * @returns {?number} A 32-bit unsigned integer, or null when no seed was given
+   */
+  static normalizeSeed(seed) {
+    if (seed === null || seed === undefined) {
+      return null;
+    }
+    if (typeof seed === 'number' && Number.isInteger(seed)) {
+      return seed >>> 0;
+    }
+    return SeededRandom.hashString(String(seed));
+  }
+
+  /**
+   * Seeds the generator
+   * @param {?(number|string)} seed - The seed to use, or null to use Math.random
+   * @returns {void}
+   */
+  seed(seed) {
+    this.#state = SeededRandom.normalizeSeed(seed);
+  }
+
+  /**
+   * Gets the current internal state of the generator
+   * @returns {?number} The current state, or null when unseeded
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Restores a state previously read from `state`
+   * @param {?number} state - The state to restore, or null to use Math.random
+   */
+  set state(state) {
+    this.#state = state === null ? null : state >>> 0;
+  }
+
+  /**
+   * Generates a random float in [0, 1)
+   * @returns {number} A random float
+   */
+  next() {
+    if (this.#state === null) {
+      return Math.random();
+    }
+    this.#state = (this.#state + 0x6d2b79f5) >>> 0;
+    let t = this.#state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Generates a random integer between min and max (inclusive)
+   * @param {number} min - The minimum value
+   * @param {number} max - The maximum value
+   * @returns {number} A random integer between min and max
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+}
+
+export default SeededRandom;
@@ -1,25 +1,21 @@
 // remy is a little helper for random functions that need to be used in multiple places
 // he's just a little guy, so he's not very complicated
+import DungeonLogger from './logger.js';
+import SeededRandom from './random.js';
 
 const remy = {
   seed: null,
-  seedRandom: function (seed) {
+  rng: new SeededRandom(),
+  logger: new DungeonLogger(),
+  seedRandom(seed) {
     this.seed = seed;
+    this.rng.seed(seed);
   },
   randomInt(min, max) {
-    if (this.seed === null) {
-      return Math.floor(Math.random() * (max - min + 1)) + min;
-    }
-
-    // Simple seeded random implementation
-    this.seed = (this.seed * 9301 + 49297) % 233280;
-    const rnd = this.seed / 233280;
-    return Math.floor(rnd * (max - min + 1)) + min;
+    return this.rng.int(min, max);
   },
   printToLog(text) {
-    const logContainer = document.querySelector('#logContainer');
-    logContainer.innerHTML += `${text}<br>`;
-    console.log(text);
+    this.logger.info(DungeonLogger.Events.MESSAGE, text);
   },
 };
 
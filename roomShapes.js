@@ -0,0 +1,102 @@
+// room shapes for the Dungeon class
+// a shape turns a bounding box into the exact set of floor tiles of the room
+
+export const RoomShapes = {
+  RECT: 'rect',
+  L_SHAPE: 'lShape',
+  CROSS: 'cross',
+  CIRCLE: 'circle',
+  PILLARED: 'pillared',
+};
+
+// the smallest bounding box each shape needs to still look like itself, smaller rooms stay rectangles
+const MIN_SHAPE_SIZE = {
+  [RoomShapes.RECT]: 1,
+  [RoomShapes.L_SHAPE]: 4,
+  [RoomShapes.CROSS]: 5,
+  [RoomShapes.CIRCLE]: 5,
+  [RoomShapes.PILLARED]: 5,
+};
+
+/**
+ * Checks if a shape can be used for a room of the given size
+ * @param {string} shape - The shape (see RoomShapes)
+ * @param {number} width - The width of the bounding box
+ * @param {number} height - The height of the bounding box
+ * @returns {boolean} True if the shape fits
+ */
+export function shapeFits(shape, width, height) {
+  const minSize = MIN_SHAPE_SIZE[shape];
+  if (minSize === undefined) {
+    throw new Error(`Unknown room shape: ${shape}`);
+  }
+  return width >= minSize && height >= minSize;
+}
+
+/**
+ * Gets the floor tiles of a shaped room
+ * Every shape is a single 4-connected area, and the bounding box is always fully used on both axes
+ * @param {string} shape - The shape (see RoomShapes)
+ * @param {{x: number, y: number, width: number, height: number}} bounds - The bounding box of the room
+ * @param {number} [variant=0] - Picks between versions of a shape, such as which corner an L-shape cuts away
+ * @returns {Array<{x: number, y: number}>} The room's floor tiles
+ */
+export function shapeTiles(shape, bounds, variant = 0) {
+  const { width, height } = bounds;
+  let inShape;
+  switch (shape) {
+    case RoomShapes.L_SHAPE: {
+      // cut away one corner quadrant
+      const cutWidth = Math.floor(width / 2);
+      const cutHeight = Math.floor(height / 2);
+      const cutLeft = variant % 2 === 0;
+      const cutTop = Math.floor(variant / 2) % 2 === 0;
+      inShape = (dx, dy) => {
+        const inCutX = cutLeft ? dx < cutWidth : dx >= width - cutWidth;
+        const inCutY = cutTop ? dy < cutHeight : dy >= height - cutHeight;
+        return !(inCutX && inCutY);
+      };
+      break;
+    }
+    case RoomShapes.CROSS: {
+      // a horizontal and a vertical band, each a third of the room thick
+      const bandWidth = Math.max(1, Math.round(width / 3));
+      const bandHeight = Math.max(1, Math.round(height / 3));
+      const bandX = Math.floor((width - bandWidth) / 2);
+      const bandY = Math.floor((height - bandHeight) / 2);
+      inShape = (dx, dy) =>
+        (dx >= bandX && dx < bandX + bandWidth) || (dy >= bandY && dy < bandY + bandHeight);
+      break;
+    }
+    case RoomShapes.CIRCLE: {
+      // an ellipse touching all four sides, the small margin keeps the middle of each edge
+      const radiusX = width / 2;
+      const radiusY = height / 2;
+      inShape = (dx, dy) => {
+        const nx = (dx + 0.5 - radiusX) / radiusX;
+        const ny = (dy + 0.5 - radiusY) / radiusY;
+        return nx * nx + ny * ny <= 1.1;
+      };
+      break;
+    }
+    case RoomShapes.PILLARED:
+      // pillars on every other tile, never on the outer ring so the floor stays connected
+      inShape = (dx, dy) =>
+        !(dx % 2 === 1 && dy % 2 === 1 && dx < width - 1 && dy < height - 1);
+      break;
+    case RoomShapes.RECT:
+      inShape = () => true;
+      break;
+    default:
+      throw new Error(`Unknown room shape: ${shape}`);
+  }
+  const tiles = [];
+  for (let dx = 0; dx < width; dx++) {
+    for (let dy = 0; dy < height; dy++) {
+      if (inShape(dx, dy)) {
+        tiles.push({ x: bounds.x + dx, y: bounds.y + dy });
+      }
+    }
+  }
+  return tiles;
+}
@@ -0,0 +1,243 @@
+// the terrain layer for the Dungeon class
+// water, lava and chasms are laid over the board after the layout is built, without ever cutting off
+// part of the floor for units that walk. Terrain tiles carved out of walls are TERRAIN tiles
+
+import TileMap from './tileMap.js';
+
+export const Terrains = {
+  WATER: 'WATER',
+  LAVA: 'LAVA',
+  CHASM: 'CHASM',
+  SECONDARY_FLOOR: 'SECONDARY_FLOOR',
+};
+
+export const MovementTypes = {
+  WALK: 'walk',
+  SWIM: 'swim',
+  FLY: 'fly',
+  LEVITATE: 'levitate',
+};
+
+export const TerrainModes = {
+  NONE: 'none',
+  NOISE: 'noise',
+  LAKES: 'lakes',
+  RIVER: 'river',
+};
+
+// the movement types that can cross each terrain, plain floors and corridors can be crossed by all of them
+export const TERRAIN_MOVEMENT = {
+  [Terrains.WATER]: [MovementTypes.SWIM, MovementTypes.FLY, MovementTypes.LEVITATE],
+  [Terrains.LAVA]: [MovementTypes.FLY, MovementTypes.LEVITATE],
+  [Terrains.CHASM]: [MovementTypes.FLY, MovementTypes.LEVITATE],
+  [Terrains.SECONDARY_FLOOR]: Object.values(MovementTypes),
+};
+
+/**
+ * Builds a smooth value noise field over the board
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {number} scale - The distance in tiles between the random lattice points
+ * @returns {number[][]} Noise values between 0 and 1, indexed as [x][y]
+ */
+function valueNoise(dungeon, scale) {
+  const latticeWidth = Math.ceil(dungeon.colCount / scale) + 2;
+  const latticeHeight = Math.ceil(dungeon.rowCount / scale) + 2;
+  const lattice = [...Array(latticeWidth)].map(() =>
+    [...Array(latticeHeight)].map(() => dungeon.randomInt(0, 1000) / 1000),
+  );
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const noise = [];
+  for (let x = 0; x < dungeon.colCount; x++) {
+    noise.push([]);
+    for (let y = 0; y < dungeon.rowCount; y++) {
+      const lx = Math.floor(x / scale);
+      const ly = Math.floor(y / scale);
+      const tx = smooth((x % scale) / scale);
+      const ty = smooth((y % scale) / scale);
+      const top = lattice[lx][ly] * (1 - tx) + lattice[lx + 1][ly] * tx;
+      const bottom = lattice[lx][ly + 1] * (1 - tx) + lattice[lx + 1][ly + 1] * tx;
+      noise[x].push(top * (1 - ty) + bottom * ty);
+    }
+  }
+  return noise;
+}
+
+/**
+ * Picks liquid tiles where the noise field is highest
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {number} targetCount - The number of tiles to pick
+ * @returns {Array<{x: number, y: number}>} The tiles, most wanted first
+ */
+function noiseTiles(dungeon, targetCount) {
+  const noise = valueNoise(dungeon, 6);
+  const tiles = [];
+  for (let x = 0; x < dungeon.colCount; x++) {
+    for (let y = 0; y < dungeon.rowCount; y++) {
+      tiles.push({ x, y, value: noise[x][y] });
+    }
+  }
+  return tiles.sort((a, b) => b.value - a.value).slice(0, targetCount);
+}
+
+/**
+ * Grows a few lakes outwards from random centres
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {number} targetCount - The total number of tiles to pick
+ * @returns {Array<{x: number, y: number}>} The tiles, in the order the lakes grew
+ */
+function lakeTiles(dungeon, targetCount) {
+  const lakeCount = dungeon.randomInt(1, 3);
+  const picked = new Set();
+  const tiles = [];
+  for (let lake = 0; lake < lakeCount; lake++) {
+    const size = Math.round(targetCount / lakeCount);
+    const frontier = [{ x: dungeon.randomInt(1, dungeon.colCount - 2), y: dungeon.randomInt(1, dungeon.rowCount - 2) }];
+    let grown = 0;
+    while (grown < size && frontier.length > 0) {
+      // growing from a random frontier tile, rather than breadth first, gives ragged shores
+      const { x, y } = frontier.splice(dungeon.randomInt(0, frontier.length - 1), 1)[0];
+      if (x < 1 || x > dungeon.colCount - 2 || y < 1 || y > dungeon.rowCount - 2 || picked.has(`${x},${y}`)) {
+        continue;
+      }
+      picked.add(`${x},${y}`);
+      tiles.push({ x, y });
+      grown++;
+      frontier.push({ x: x - 1, y }, { x: x + 1, y }, { x, y: y - 1 }, { x, y: y + 1 });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Carves a meandering river across the board, two tiles wide
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @returns {Array<{x: number, y: number}>} The river's tiles, from one side to the other
+ */
+function riverTiles(dungeon) {
+  // run along the longer side of the board
+  const across = dungeon.colCount >= dungeon.rowCount;
+  const length = across ? dungeon.colCount : dungeon.rowCount;
+  const width = across ? dungeon.rowCount : dungeon.colCount;
+  const tiles = [];
+  let offset = dungeon.randomInt(Math.floor(width / 4), Math.floor((width * 3) / 4));
+  for (let step = 0; step < length; step++) {
+    offset = Math.min(Math.max(offset + dungeon.randomInt(-1, 1), 1), width - 3);
+    for (const side of [offset, offset + 1]) {
+      tiles.push(across ? { x: step, y: side } : { x: side, y: step });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Checks if a room's dry floor is still in one piece, and still has at least half its tiles
+ * @param {Object} room - The room to check
+ * @param {Set<string>} wet - The room tiles covered by liquid
+ * @returns {boolean} True if walkers can still reach all of the room's dry floor
+ */
+function roomStaysConnected(room, wet) {
+  const dry = room.tiles.filter((tile) => !wet.has(`${tile.x},${tile.y}`));
+  if (dry.length * 2 < room.tiles.length) {
+    return false;
+  }
+  const dryKeys = new Set(dry.map((tile) => `${tile.x},${tile.y}`));
+  const reached = new Set([`${dry[0].x},${dry[0].y}`]);
+  const queue = [dry[0]];
+  while (queue.length > 0) {
+    const { x, y } = queue.pop();
+    for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+      const key = `${nx},${ny}`;
+      if (dryKeys.has(key) && !reached.has(key)) {
+        reached.add(key);
+        queue.push({ x: nx, y: ny });
+      }
+    }
+  }
+  return reached.size === dry.length;
+}
+
+/**
+ * Lays liquid over the chosen tiles, skipping any that would cut walkers off
+ * Corridors, connection points, the board's outer ring and room tiles next to a corridor stay dry,
+ * and each room keeps its dry floor in one piece
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @param {Array<{x: number, y: number}>} tiles - The tiles to flood, most wanted first
+ * @param {string} liquid - The terrain to lay (see Terrains)
+ * @returns {number} The number of tiles flooded
+ */
+function floodTiles(dungeon, tiles, liquid) {
+  const points = new Set(dungeon.pointList.map((point) => `${point.x},${point.y}`));
+  // room tiles are drawn with their grid index + 1, whatever the layout
+  const roomsByNumber = new Map(dungeon.roomList.map((room) => [room.grid + 1, room]));
+  const wetByRoom = new Map();
+  const { tileMap } = dungeon;
+  const isCorridor = (x, y) => tileMap.contains(x, y) && tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR;
+  let flooded = 0;
+  for (const { x, y } of tiles) {
+    if (x < 1 || x > dungeon.colCount - 2 || y < 1 || y > dungeon.rowCount - 2 || points.has(`${x},${y}`)) {
+      continue;
+    }
+    if (tileMap.getTerrain(x, y)) {
+      continue;
+    }
+    if (tileMap.getKind(x, y) === TileMap.Kinds.WALL) {
+      tileMap.setTile(x, y, TileMap.Kinds.TERRAIN);
+      tileMap.setTerrain(x, y, liquid);
+      flooded++;
+      continue;
+    }
+    const room = tileMap.getKind(x, y) === TileMap.Kinds.ROOM ? roomsByNumber.get(tileMap.getRoom(x, y)) : null;
+    if (!room || [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].some(([nx, ny]) => isCorridor(nx, ny))) {
+      continue;
+    }
+    const wet = wetByRoom.get(room) ?? new Set();
+    wet.add(`${x},${y}`);
+    if (!roomStaysConnected(room, wet)) {
+      wet.delete(`${x},${y}`);
+      continue;
+    }
+    wetByRoom.set(room, wet);
+    tileMap.setTerrain(x, y, liquid);
+    flooded++;
+  }
+  return flooded;
+}
+
+/**
+ * The terrain stage: floods part of the board with the dungeon's liquid terrain using its terrain mode,
+ * then scatters secondary floor over the dry room tiles
+ * @param {Dungeon} dungeon - The dungeon being generated
+ * @returns {void}
+ */
+export function addTerrain(dungeon) {
+  if (dungeon.terrainMode === TerrainModes.NONE) {
+    return;
+  }
+  const targetCount = Math.round((dungeon.colCount * dungeon.rowCount * dungeon.liquidAmount) / 100);
+  let tiles;
+  switch (dungeon.terrainMode) {
+    case TerrainModes.NOISE:
+      tiles = noiseTiles(dungeon, targetCount);
+      break;
+    case TerrainModes.LAKES:
+      tiles = lakeTiles(dungeon, targetCount);
+      break;
+    case TerrainModes.RIVER:
+      tiles = riverTiles(dungeon);
+      break;
+    default:
+      throw new Error(`Unknown terrain mode: ${dungeon.terrainMode}`);
+  }
+  floodTiles(dungeon, tiles, dungeon.liquidTerrain);
+
+  // secondary floor follows its own noise field, so it forms patches rather than single tiles
+  const noise = valueNoise(dungeon, 4);
+  const dryTiles = dungeon.roomList
+    .flatMap((room) => room.tiles)
+    .filter(({ x, y }) => !dungeon.tileMap.getTerrain(x, y))
+    .sort((a, b) => noise[b.x][b.y] - noise[a.x][a.y]);
+  const secondaryCount = Math.round((dryTiles.length * dungeon.secondaryFloorAmount) / 100);
+  for (const { x, y } of dryTiles.slice(0, secondaryCount)) {
+    dungeon.tileMap.setTerrain(x, y, Terrains.SECONDARY_FLOOR);
+  }
+}
@@ -0,0 +1,31 @@
+import process from 'node:process';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../batchCli.js', import.meta.url));
+
+/**
+ * Runs the batch command line tool
+ * @param {string[]} args - The arguments
+ * @returns {{status: number, stdout: string, stderr: string}} How it exited and what it printed
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+describe('batchCli', () => {
+  it('reports an options file that can\'t be read', () => {
+    const { status, stderr } = runCli(['missing-options.json', '--count', '1']);
+    assert.equal(status, 1);
+    assert.match(stderr, /^missing-options\.json: ENOENT/);
+  });
+
+  it('reports an options file that isn\'t JSON', () => {
+    // the tool's own source is a file that's there but isn't JSON
+    const { status, stderr } = runCli([CLI, '--count', '1']);
+    assert.equal(status, 1);
+    assert.match(stderr, /^batchCli\.js: .*JSON/);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dungeon from '../dungeonGen.js';
+import DungeonLogger from '../logger.js';
+
+const SEEDS = 25;
+
+/**
+ * Generates a dungeon for every seed with the given options
+ * @param {Object} options - Dungeon options
+ * @returns {Dungeon[]} The dungeons
+ */
+function generate(options) {
+  return Array.from({ length: SEEDS }, (value, seed) => new Dungeon({ ...options, seed: `connections-${seed}` }));
+}
+
+describe('connections', () => {
+  for (const layout of Object.values(Dungeon.Layouts)) {
+    for (const style of Object.values(Dungeon.CorridorStyles)) {
+      describe(`${layout} layout, ${style} corridors`, () => {
+        const dungeons = generate({ layout, corridorStyles: { [style]: 1 } });
+
+        it('joins every connection on the board', () => {
+          for (const dungeon of dungeons) {
+            assert.deepEqual(dungeon.getDisconnectedConnections(), [], `seed ${dungeon.getSeed()}`);
+          }
+        });
+
+        it('ends every connection on the floor of its rooms', () => {
+          for (const dungeon of dungeons) {
+            for (const { point1, point2 } of dungeon.connectionList) {
+              for (const point of [point1, point2]) {
+                const room = dungeon.roomList.find((candidate) => candidate.grid === point.gridIndex);
+                // the room over a point can be lost to roomLossChance, leaving the corridors to meet
+                if (room) {
+                  assert.equal(dungeon.getRoomAt(point.x, point.y), room, `seed ${dungeon.getSeed()}, point ${point.x},${point.y}`);
+                }
+              }
+            }
+          }
+        });
+      });
+    }
+  }
+});
+
+describe('grid corridors', () => {
+  for (const style of Object.values(Dungeon.CorridorStyles)) {
+    it(`keep ${style} corridors out of rooms they don't connect`, () => {
+      for (let seed = 0; seed < SEEDS * 4; seed++) {
+        // the paths stage logs the corridor it carves for each connection
+        const logger = new DungeonLogger({ level: DungeonLogger.Levels.DEBUG });
+        const routes = [];
+        logger.subscribe(({ event, data }) => {
+          if (event === DungeonLogger.Events.PATH_ADDED && data.connection) {
+            routes.push(data);
+          }
+        });
+        const dungeon = new Dungeon({ seed, logger, corridorStyles: { [style]: 1 } });
+        // earlier attempts logged their own connections
+        const finalRoutes = routes.filter(({ connection }) => dungeon.connectionList.includes(connection));
+        assert.equal(finalRoutes.length, dungeon.connectionList.length);
+        for (const { connection: { point1, point2 }, tiles } of finalRoutes) {
+          assert.deepEqual([tiles[0], tiles.at(-1)].map(({ x, y }) => ({ x, y })), [point1, point2].map(({ x, y }) => ({ x, y })));
+          for (const { x, y } of tiles) {
+            const room = dungeon.getRoomAt(x, y);
+            assert.ok(
+              !room || room.grid === point1.gridIndex || room.grid === point2.gridIndex,
+              `seed ${seed}: the corridor between grid ${point1.gridIndex + 1} and grid ${point2.gridIndex + 1} runs through room ${room?.grid + 1}`,
+            );
+          }
+        }
+      }
+    });
+  }
+});
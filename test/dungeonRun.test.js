@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dungeon from '../dungeonGen.js';
+import DungeonRun from '../dungeonRun.js';
+
+/**
+ * Adds a stage to a pipeline that fails every attempt
+ * @param {GenerationPipeline} pipeline - The pipeline
+ * @returns {void}
+ */
+function failEveryAttempt(pipeline) {
+  pipeline.insertAfter(Dungeon.Stages.VALIDATE, { name: 'fail', run: () => false });
+}
+
+describe('DungeonRun', () => {
+  it('links each floor\'s exit to the entry of the floor below', () => {
+    const run = new DungeonRun({ seed: 'run', floorCount: 3 });
+    const { exit } = run.getFloor(0).specialPoints;
+    const { entry } = run.getFloor(1).specialPoints;
+    assert.deepEqual(exit.link, { floor: 1, x: entry.x, y: entry.y });
+    assert.deepEqual(entry.link, { floor: 0, x: exit.x, y: exit.y });
+  });
+
+  it('gets a floor when the floor below it can\'t be generated', () => {
+    const run = new DungeonRun({
+      seed: 'run',
+      floorCount: 3,
+      schedule: (floorIndex) => (floorIndex === 1 ? { maxAttempts: 2, configurePipeline: failEveryAttempt } : {}),
+    });
+    const floor = run.getFloor(0);
+    assert.ok(floor.validDungeon);
+    assert.equal(floor.specialPoints.exit.link, undefined);
+    assert.throws(() => run.getFloor(1), Dungeon.GenerationError);
+  });
+
+  it('leaves floors without stairs unlinked', () => {
+    const run = new DungeonRun({
+      seed: 'run',
+      floorCount: 2,
+      schedule: [{}, {
+        configurePipeline: (pipeline) => pipeline.replace(Dungeon.Stages.SPECIAL_POINTS, (dungeon) => {
+          dungeon.specialPoints = { entry: null, exit: null };
+        }),
+      }],
+    });
+    assert.equal(run.getFloor(0).specialPoints.exit.link, undefined);
+    assert.equal(run.getLink(0), null);
+  });
+});
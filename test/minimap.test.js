@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dungeon from '../dungeonGen.js';
+import TileMap from '../tileMap.js';
+import { buildMinimap, rasterizeMinimap, DEFAULT_MINIMAP_STYLE, MarkerKinds } from '../minimap.js';
+
+const SCALE = 4;
+
+/**
+ * Reads the colour of the pixel at the centre of a tile
+ * @param {{width: number, data: Uint8ClampedArray}} image - The rasterized minimap
+ * @param {number} x - X coordinate of the tile
+ * @param {number} y - Y coordinate of the tile
+ * @returns {{rgb: number, alpha: number}} The colour as 0xRRGGBB, and its alpha from 0 to 255
+ */
+function pixelAt({ width, data }, x, y) {
+  const offset = ((y * SCALE + SCALE / 2) * width + x * SCALE + SCALE / 2) * 4;
+  return { rgb: (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2], alpha: data[offset + 3] };
+}
+
+describe('rasterizeMinimap', () => {
+  const dungeon = new Dungeon({ seed: 'minimap' });
+  const minimap = buildMinimap(dungeon);
+  const image = rasterizeMinimap(minimap, { scale: SCALE });
+  const marked = new Set(minimap.markers.map(({ x, y }) => `${x},${y}`));
+
+  it('makes an image of the floor at the given scale', () => {
+    assert.equal(image.width, dungeon.colCount * SCALE);
+    assert.equal(image.height, dungeon.rowCount * SCALE);
+    assert.ok(image.data instanceof Uint8ClampedArray);
+    assert.equal(image.data.length, image.width * image.height * 4);
+  });
+
+  it('fills rooms, draws corridors and leaves walls clear', () => {
+    const room = dungeon.roomList[0];
+    const floor = room.tiles.find(({ x, y }) => !marked.has(`${x},${y}`));
+    assert.deepEqual(pixelAt(image, floor.x, floor.y), {
+      rgb: DEFAULT_MINIMAP_STYLE.roomFill,
+      alpha: Math.round(DEFAULT_MINIMAP_STYLE.roomFillAlpha * 255),
+    });
+
+    const corridors = [];
+    for (let x = 0; x < dungeon.colCount; x++) {
+      for (let y = 0; y < dungeon.rowCount; y++) {
+        if (dungeon.tileMap.getKind(x, y) === TileMap.Kinds.CORRIDOR && !marked.has(`${x},${y}`)) {
+          corridors.push({ x, y });
+        }
+      }
+    }
+    assert.ok(corridors.length > 0);
+    for (const { x, y } of corridors) {
+      assert.deepEqual(pixelAt(image, x, y), { rgb: DEFAULT_MINIMAP_STYLE.corridor, alpha: 255 }, `corridor ${x},${y}`);
+    }
+
+    assert.deepEqual(pixelAt(image, 0, 0), { rgb: 0, alpha: 0 });
+  });
+
+  it('draws the stairs in their marker colour', () => {
+    const { entry, exit } = dungeon.specialPoints;
+    assert.deepEqual(pixelAt(image, entry.x, entry.y), { rgb: DEFAULT_MINIMAP_STYLE.markers[MarkerKinds.ENTRY], alpha: 255 });
+    assert.deepEqual(pixelAt(image, exit.x, exit.y), { rgb: DEFAULT_MINIMAP_STYLE.markers[MarkerKinds.EXIT], alpha: 255 });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dungeon from '../dungeonGen.js';
+
+/**
+ * Lists the options named in the problems validateOptions finds
+ * @param {Object} options - Dungeon options
+ * @returns {string[]} The options with a problem
+ */
+function problemOptions(options) {
+  return Dungeon.validateOptions(options).map(({ option }) => option);
+}
+
+describe('validateOptions', () => {
+  it('accepts the default options', () => {
+    assert.deepEqual(Dungeon.validateOptions(), []);
+  });
+
+  it('rejects a grid shape with fewer cells than roomCountMin', () => {
+    assert.deepEqual(problemOptions({ gridRows: 2, gridCols: 2 }), ['roomCountMin']);
+    assert.throws(() => new Dungeon({ gridRows: 2, gridCols: 2 }), Dungeon.OptionsError);
+  });
+
+  it('rejects a roomCountMin above the rooms that fit on the board', () => {
+    // 6 columns by 5 rows of the smallest cells fit on the default 40x32 board
+    assert.deepEqual(problemOptions({ roomCountMin: 40, roomCountMax: 50 }), ['roomCountMin']);
+    assert.deepEqual(problemOptions({ roomCountMin: 30, roomCountMax: 50 }), []);
+  });
+
+  it('rejects grid rows or columns that don\'t fit on the board', () => {
+    assert.deepEqual(problemOptions({ gridCols: 9 }), ['gridCols']);
+    assert.deepEqual(problemOptions({ gridRows: 6, roomCountMin: 4, roomCountMax: 6 }), ['gridRows']);
+  });
+
+  it('uses a grid shape that is given exactly', () => {
+    for (let seed = 0; seed < 25; seed++) {
+      const dungeon = new Dungeon({ seed, gridRows: 2, gridCols: 3, roomCountMin: 6, roomCountMax: 6, largeCellChance: 100 });
+      assert.equal(dungeon.gridList.length, 6, `seed ${seed}`);
+      assert.equal(new Set(dungeon.gridList.map(({ x }) => x)).size, 3, `seed ${seed}`);
+      assert.equal(new Set(dungeon.gridList.map(({ y }) => y)).size, 2, `seed ${seed}`);
+    }
+  });
+});
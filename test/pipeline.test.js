@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GenerationPipeline from '../pipeline.js';
+
+/**
+ * Makes a pipeline of stages that record their names as they run
+ * @param {string[]} ran - Where the names are recorded
+ * @returns {GenerationPipeline} A pipeline with stages a, b and c
+ */
+function recordingPipeline(ran) {
+  return new GenerationPipeline(['a', 'b', 'c'].map((name) => ({ name, run: () => ran.push(name) })));
+}
+
+describe('GenerationPipeline', () => {
+  it('keeps the hooks of a stage replaced with a new runner', () => {
+    const ran = [];
+    const pipeline = recordingPipeline(ran);
+    pipeline.before('b', () => ran.push('before b'));
+    pipeline.after('b', () => ran.push('after b'));
+    pipeline.replace('b', () => ran.push('new b'));
+    pipeline.run(null);
+    assert.deepEqual(ran, ['a', 'before b', 'new b', 'after b', 'c']);
+  });
+
+  it('moves the hooks of a renamed stage to its new name', () => {
+    const ran = [];
+    const pipeline = recordingPipeline(ran);
+    pipeline.before('b', (dungeon, context, stageName) => ran.push(`before ${stageName}`));
+    const removeAfter = pipeline.after('b', (dungeon, context, stageName) => ran.push(`after ${stageName}`));
+    pipeline.replace('b', { name: 'd', run: () => ran.push('d') });
+    assert.deepEqual(pipeline.getStageNames(), ['a', 'd', 'c']);
+    assert.throws(() => pipeline.before('b', () => ran.push('never')), /Unknown pipeline stage/);
+    pipeline.run(null);
+    assert.deepEqual(ran, ['a', 'before d', 'd', 'after d', 'c']);
+
+    // the functions that remove hooks still work after the move
+    ran.length = 0;
+    removeAfter();
+    pipeline.run(null);
+    assert.deepEqual(ran, ['a', 'before d', 'd', 'c']);
+  });
+});
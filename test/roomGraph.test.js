@@ -0,0 +1,242 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Dungeon from '../dungeonGen.js';
+
+/**
+ * Swaps a dungeon's board for a hand drawn one
+ * `#` is wall, `.` corridor, and each letter a rectangular room
+ * @param {string[]} rows - The board, one string per row
+ * @param {Object} [options={}] - Dungeon options
+ * @returns {Dungeon} A dungeon holding the board
+ */
+function fromPicture(rows, options = {}) {
+  const dungeon = new Dungeon({ ...options, seed: 'picture' });
+  const rooms = new Map();
+  dungeon.board = [...rows[0]].map((column, x) => rows.map((row, y) => {
+    const cell = row[x];
+    if (cell === '#') {
+      return { type: 0 };
+    }
+    if (cell === '.') {
+      return { type: 'P' };
+    }
+    if (!rooms.has(cell)) {
+      rooms.set(cell, []);
+    }
+    rooms.get(cell).push({ x, y });
+    return { type: [...rooms.keys()].indexOf(cell) + 1 };
+  }));
+  dungeon.colCount = rows[0].length;
+  dungeon.rowCount = rows.length;
+  dungeon.roomList = [...rooms.values()].map((tiles, grid) => {
+    const x = Math.min(...tiles.map((tile) => tile.x));
+    const y = Math.min(...tiles.map((tile) => tile.y));
+    return {
+      x,
+      y,
+      width: Math.max(...tiles.map((tile) => tile.x)) - x + 1,
+      height: Math.max(...tiles.map((tile) => tile.y)) - y + 1,
+      grid,
+      onPoint: true,
+      shape: Dungeon.RoomShapes.RECT,
+      tiles,
+    };
+  });
+  dungeon.specialPoints = { entry: null, exit: null };
+  return dungeon;
+}
+
+/**
+ * Gives a hand drawn dungeon's rooms their types, by running only the room types stage
+ * @param {Dungeon} dungeon - The dungeon
+ * @returns {Object<string, string>} The type of each room, keyed by its letter
+ */
+function assignRoomTypes(dungeon) {
+  for (const name of dungeon.pipeline.getStageNames()) {
+    if (name !== Dungeon.Stages.ROOM_TYPES) {
+      dungeon.pipeline.remove(name);
+    }
+  }
+  dungeon.pipeline.run(dungeon);
+  return Object.fromEntries(dungeon.roomList.map((room, index) => [String.fromCharCode(65 + index), room.type]));
+}
+
+describe('getRoomGraph', () => {
+  it('makes each edge one unbroken corridor', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const dungeon = new Dungeon({ seed });
+      for (const { tiles } of dungeon.getRoomGraph().edges) {
+        // flood the edge's tiles from its first one, stepping only onto its own tiles
+        const left = new Set(tiles.slice(1).map(({ x, y }) => `${x},${y}`));
+        const queue = tiles.slice(0, 1);
+        while (queue.length > 0) {
+          const { x, y } = queue.pop();
+          for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+            if (left.delete(`${nx},${ny}`)) {
+              queue.push({ x: nx, y: ny });
+            }
+          }
+        }
+        assert.equal(left.size, 0, `seed ${seed}`);
+      }
+    }
+  });
+
+  it('gives each edge the doorways into its own rooms', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const dungeon = new Dungeon({ seed });
+      for (const edge of dungeon.getRoomGraph().edges) {
+        assert.equal(edge.length, edge.tiles.length);
+        for (const doorway of edge.doorways) {
+          assert.ok([edge.from, edge.to].includes(`room-${doorway.room}`), `seed ${seed}`);
+        }
+      }
+    }
+  });
+});
+
+describe('getLoopCount', () => {
+  it('counts the loop of four rooms in a ring', () => {
+    const dungeon = fromPicture([
+      '##############',
+      '#AAA######BBB#',
+      '#AAA......BBB#',
+      '#AAA######BBB#',
+      '##.########.##',
+      '##.########.##',
+      '#CCC######DDD#',
+      '#CCC......DDD#',
+      '#CCC######DDD#',
+      '##############',
+    ]);
+    assert.equal(dungeon.getLoopCount(), 1);
+  });
+
+  it('counts loops running through junctions', () => {
+    // A-B and C-D are joined by a corridor between two junctions, then A-C and B-D close two loops
+    const dungeon = fromPicture([
+      '###############',
+      '#AAA#####BBB###',
+      '#AAA.....BBB###',
+      '#AAA##.##BBB###',
+      '##.###.####.###',
+      '#CCC##.##DDD###',
+      '#CCC.....DDD###',
+      '#CCC#####DDD###',
+      '###############',
+    ]);
+    const { nodes } = dungeon.getRoomGraph();
+    assert.equal(nodes.filter((node) => node.kind === 'junction').length, 2);
+    assert.equal(dungeon.getLoopCount(), 2);
+  });
+
+  it('counts no loops for a tree of corridors', () => {
+    const dungeon = fromPicture([
+      '###############',
+      '#AAA#####BBB###',
+      '#AAA.....BBB###',
+      '#AAA##.##BBB###',
+      '######.########',
+      '#CCC##.##DDD###',
+      '#CCC.....DDD###',
+      '#CCC#####DDD###',
+      '###############',
+    ]);
+    assert.equal(dungeon.getLoopCount(), 0);
+  });
+
+  it('treats a corridor running past a room as a junction', () => {
+    // the corridor from B to C runs along the bottom of A, which is no loop
+    const dungeon = fromPicture([
+      '###########',
+      '###AAA#####',
+      '###AAA#####',
+      '#BB.....CC#',
+      '#BB#####CC#',
+      '###########',
+    ]);
+    const { nodes, edges } = dungeon.getRoomGraph();
+    assert.equal(nodes.filter((node) => node.kind === 'junction').length, 1);
+    assert.equal(edges.length, 3);
+    assert.equal(dungeon.getLoopCount(), 0);
+  });
+
+  it('treats a junction opening into a room as part of it', () => {
+    // the junction beside A leads up and down along A's wall, neither of which is a way round anything
+    const dungeon = fromPicture([
+      '############',
+      '#AAA.#######',
+      '#AAA....BBB#',
+      '#AAA.###BBB#',
+      '#AAA.###BBB#',
+      '####.#######',
+      '###CCC######',
+      '############',
+    ]);
+    const { nodes } = dungeon.getRoomGraph();
+    assert.equal(nodes.filter((node) => node.kind === 'junction').length, 2);
+    assert.equal(dungeon.getLoopCount(), 0);
+  });
+
+  it('counts corridors joining the same two rooms once', () => {
+    const dungeon = fromPicture([
+      '##########',
+      '#AA####BB#',
+      '#AA....BB#',
+      '#AA####BB#',
+      '#AA....BB#',
+      '##########',
+    ]);
+    const { edges } = dungeon.getRoomGraph();
+    assert.deepEqual(edges.map(({ length }) => length), [4, 4]);
+    assert.equal(dungeon.getLoopCount(), 0);
+  });
+});
+
+describe('loopCount', () => {
+  for (const loopCount of [0, 1, 3]) {
+    it(`makes ${loopCount} loops on the grid layout`, () => {
+      for (let seed = 0; seed < 25; seed++) {
+        const dungeon = new Dungeon({ seed, loopCount });
+        assert.equal(dungeon.corridorStats.loops, loopCount, `seed ${seed}`);
+        assert.equal(dungeon.getLoopCount(), loopCount, `seed ${seed}`);
+      }
+    });
+  }
+});
+
+describe('deadEndOnly room types', () => {
+  const options = { roomTypes: [{ type: 'HIDEOUT', deadEndOnly: true }], normalRoomWeight: 0 };
+
+  it('counts a corridor along a room\'s wall as one way out', () => {
+    // A's corridor runs along its bottom wall, so it has three doorway tiles but one corridor
+    const dungeon = fromPicture([
+      '#############',
+      '#AAA#########',
+      '#AAA#########',
+      '#AAA#########',
+      '#.......BBB##',
+      '########BBB##',
+      '#########.###',
+      '#########.###',
+      '########CCC##',
+      '#############',
+    ], options);
+    assert.equal(dungeon.roomList[0].tiles.length, 9);
+    assert.deepEqual(assignRoomTypes(dungeon), { A: 'HIDEOUT', B: 'NORMAL', C: 'HIDEOUT' });
+  });
+
+  it('counts every way out of a junction at a room\'s door', () => {
+    // A has a single doorway tile, but it's a junction leading to B, C and D
+    const dungeon = fromPicture([
+      '##############',
+      '####.....BBB##',
+      '####.#########',
+      '#AAA.....CCC##',
+      '####.#########',
+      '####.....DDD##',
+      '##############',
+    ], options);
+    assert.deepEqual(assignRoomTypes(dungeon), { A: 'NORMAL', B: 'HIDEOUT', C: 'HIDEOUT', D: 'HIDEOUT' });
+  });
+});
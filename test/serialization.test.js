@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Dungeon from '../dungeonGen.js';
+
+describe('fromJSON', () => {
+  it('restores the board and rooms of a save', () => {
+    const dungeon = new Dungeon({ seed: 'save' });
+    const restored = Dungeon.fromJSON(JSON.stringify(dungeon));
+    assert.deepEqual(restored.board, dungeon.board);
+    assert.deepEqual(restored.roomList, dungeon.roomList);
+    assert.equal(restored.getRngState(), dungeon.getRngState());
+  });
+
+  it('loads version 2 saves, which store the board as columns of tiles', () => {
+    const dungeon = new Dungeon({ seed: 'save' });
+    const { tileMap, ...data } = dungeon.toJSON();
+    assert.ok(tileMap);
+    const restored = Dungeon.fromJSON({ ...data, version: 2, board: dungeon.board });
+    assert.deepEqual(restored.board, dungeon.board);
+  });
+
+  it('loads version 1 saves, whose rooms have no floor tiles', () => {
+    // written by the first toJSON, with seed 'v1-fixture'
+    const json = readFileSync(new URL('fixtures/dungeon-v1.json', import.meta.url), 'utf8');
+    const data = JSON.parse(json);
+    const dungeon = Dungeon.fromJSON(json);
+    assert.equal(dungeon.roomList.length, data.roomList.length);
+    for (const room of dungeon.roomList) {
+      assert.equal(room.shape, Dungeon.RoomShapes.RECT);
+      assert.equal(room.tiles.length, room.width * room.height);
+      for (const { x, y } of room.tiles) {
+        assert.equal(dungeon.getRoomAt(x, y), room);
+      }
+    }
+    assert.deepEqual(dungeon.board.map((column) => column.map(({ type }) => type)), data.board.map((column) => column.map(({ type }) => type)));
+    assert.equal(dungeon.corridorStats.loops, dungeon.getLoopCount());
+  });
+
+  it('rejects saves newer than the supported format', () => {
+    const data = { ...new Dungeon({ seed: 'save' }).toJSON(), version: Dungeon.FORMAT_VERSION + 1 };
+    assert.throws(() => Dungeon.fromJSON(data), RangeError);
+  });
+});
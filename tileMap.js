@@ -0,0 +1,245 @@
+// the dungeon board, stored as flat typed arrays indexed by `x * height + y`
+// kinds, room numbers and terrain are one byte (or two) per tile, metadata is only kept for the tiles that have it
+
+class TileMap {
+  static Kinds = {
+    WALL: 0,
+    CORRIDOR: 1,
+    ROOM: 2,
+    ENTRY: 3,
+    EXIT: 4,
+    TERRAIN: 5,
+  };
+
+  #terrainNames = [null];
+  #terrainCodes = new Map();
+  #metadata = new Map();
+
+  /**
+   * Creates a new map, with every tile a wall
+   * @param {number} width - The number of columns
+   * @param {number} height - The number of rows
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.kinds = new Uint8Array(width * height);
+    this.rooms = new Uint16Array(width * height);
+    this.terrain = new Uint8Array(width * height);
+  }
+
+  /**
+   * Gets the array index of a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} The index into kinds, rooms and terrain
+   */
+  index(x, y) {
+    return x * this.height + y;
+  }
+
+  /**
+   * Checks if a position is on the map
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the position is on the map
+   */
+  contains(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Gets the kind of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} The kind (see TileMap.Kinds)
+   */
+  getKind(x, y) {
+    return this.kinds[this.index(x, y)];
+  }
+
+  /**
+   * Changes the kind of a tile, keeping its room number, terrain and metadata
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} kind - The new kind (see TileMap.Kinds)
+   * @returns {void}
+   */
+  setKind(x, y, kind) {
+    this.kinds[this.index(x, y)] = kind;
+  }
+
+  /**
+   * Replaces a tile, clearing its terrain and metadata
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} kind - The new kind (see TileMap.Kinds)
+   * @param {number} [room=0] - The room number, for room tiles
+   * @returns {void}
+   */
+  setTile(x, y, kind, room = 0) {
+    const index = this.index(x, y);
+    this.kinds[index] = kind;
+    this.rooms[index] = room;
+    this.terrain[index] = 0;
+    this.#metadata.delete(index);
+  }
+
+  /**
+   * Gets the room number of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} The room number (grid index + 1), 0 for tiles outside rooms
+   */
+  getRoom(x, y) {
+    return this.rooms[this.index(x, y)];
+  }
+
+  /**
+   * Gets the terrain of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {?string} The terrain, or null if the tile has none
+   */
+  getTerrain(x, y) {
+    return this.#terrainNames[this.terrain[this.index(x, y)]];
+  }
+
+  /**
+   * Gets the terrain a code in the terrain array stands for
+   * @param {number} code - The terrain code
+   * @returns {?string} The terrain, or null for 0
+   */
+  getTerrainName(code) {
+    return this.#terrainNames[code];
+  }
+
+  /**
+   * Sets the terrain of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {?string} terrain - The terrain, or null to clear it
+   * @returns {void}
+   */
+  setTerrain(x, y, terrain) {
+    let code = 0;
+    if (terrain) {
+      code = this.#terrainCodes.get(terrain);
+      if (code === undefined) {
+        code = this.#terrainNames.length;
+        this.#terrainNames.push(terrain);
+        this.#terrainCodes.set(terrain, code);
+      }
+    }
+    this.terrain[this.index(x, y)] = code;
+  }
+
+  /**
+   * Gets the metadata of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Object|undefined} The metadata, or undefined if the tile has none
+   */
+  getMetadata(x, y) {
+    return this.#metadata.get(this.index(x, y));
+  }
+
+  /**
+   * Sets the metadata of a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {?Object} metadata - The metadata, or null to clear it
+   * @returns {void}
+   */
+  setMetadata(x, y, metadata) {
+    if (metadata) {
+      this.#metadata.set(this.index(x, y), metadata);
+    }
+    else {
+      this.#metadata.delete(this.index(x, y));
+    }
+  }
+
+  /**
+   * Builds a tile in the original board format: `{ type, terrain?, metadata? }`, where type is 0 for walls,
+   * 'P' for corridors, the room number for rooms, 'ENTRY', 'EXIT', or 'S' for terrain carved from walls
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Object} The tile
+   */
+  toLegacyTile(x, y) {
+    const index = this.index(x, y);
+    const types = [0, 'P', this.rooms[index], 'ENTRY', 'EXIT', 'S'];
+    const tile = { type: types[this.kinds[index]] };
+    if (this.terrain[index] !== 0) {
+      tile.terrain = this.#terrainNames[this.terrain[index]];
+    }
+    if (this.#metadata.has(index)) {
+      tile.metadata = this.#metadata.get(index);
+    }
+    return tile;
+  }
+
+  /**
+   * Serializes the map
+   * @returns {{width: number, height: number, kinds: number[], rooms: number[], terrain: number[], terrainNames: Array<?string>, metadata: Array<[number, Object]>}} A plain object
+   */
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      kinds: Array.from(this.kinds),
+      rooms: Array.from(this.rooms),
+      terrain: Array.from(this.terrain),
+      terrainNames: [...this.#terrainNames],
+      metadata: [...this.#metadata],
+    };
+  }
+
+  /**
+   * Rebuilds a map from the output of toJSON
+   * @param {Object} data - The serialized map
+   * @returns {TileMap} The restored map
+   */
+  static fromJSON(data) {
+    const map = new TileMap(data.width, data.height);
+    map.kinds.set(data.kinds);
+    map.rooms.set(data.rooms);
+    map.terrain.set(data.terrain);
+    data.terrainNames.forEach((name, code) => {
+      if (name) {
+        map.#terrainNames[code] = name;
+        map.#terrainCodes.set(name, code);
+      }
+    });
+    for (const [index, metadata] of data.metadata) {
+      map.#metadata.set(index, metadata);
+    }
+    return map;
+  }
+
+  /**
+   * Builds a map from a board in the original format, an array of columns of `{ type, terrain?, metadata? }` tiles
+   * @param {Object[][]} board - The board
+   * @returns {TileMap} The map
+   */
+  static fromLegacyBoard(board) {
+    const map = new TileMap(board.length, board[0]?.length ?? 0);
+    const kinds = { 0: TileMap.Kinds.WALL, P: TileMap.Kinds.CORRIDOR, ENTRY: TileMap.Kinds.ENTRY, EXIT: TileMap.Kinds.EXIT, S: TileMap.Kinds.TERRAIN };
+    board.forEach((column, x) => {
+      column.forEach((tile, y) => {
+        if (typeof tile.type === 'number' && tile.type > 0) {
+          map.setTile(x, y, TileMap.Kinds.ROOM, tile.type);
+        }
+        else {
+          map.setTile(x, y, kinds[tile.type] ?? TileMap.Kinds.WALL);
+        }
+        map.setTerrain(x, y, tile.terrain ?? null);
+        map.setMetadata(x, y, tile.metadata ?? null);
+      });
+    });
+    return map;
+  }
+}
+
+export default TileMap;